@@ -4,8 +4,24 @@ import express from 'express';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import { fileURLToPath } from 'url';
 import net from 'net';
+import crypto from 'crypto';
+import { monitorEventLoopDelay } from 'perf_hooks';
+import minecraftData from 'minecraft-data';
+import pino from 'pino';
+import {
+  chatComponentText,
+  escapeRegex,
+  DEFAULT_CHAT_FORMATS,
+  compileChatFormats,
+  parseChatLine,
+  parsePlayerCommand
+} from './lib/chat.js';
+import { ConnectionSupervisor, CONNECTION_STATES } from './lib/connection.js';
+import { DURATION_UNITS, parseDuration } from './lib/duration.js';
+import { parseScheduleExpression, nextScheduleRun } from './lib/schedule.js';
 
 dotenv.config();
 
@@ -15,55 +31,501 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const config = {
   tg: {
     token: process.env.TG_TOKEN,
-    adminId: parseInt(process.env.ADMIN_ID)
+    adminId: parseInt(process.env.ADMIN_ID),
+    grantSessionTtl: 10 * 60 * 1000
   },
   mc: {
     host: process.env.MC_HOST || 'Voyagersspace.aternos.me',
     port: parseInt(process.env.MC_PORT) || 11989,
     username: process.env.MC_USERNAME || 'Asadbek_Manager',
-    version: process.env.MC_VERSION || '1.20.1'
+    // Пусто - версия определяется по Server List Ping
+    version: process.env.MC_VERSION || null,
+    // Только для первого запуска: дальше список админов живёт в БД
+    initialAdmins: (process.env.GAME_ADMINS || '').split(',').map(name => name.trim()).filter(Boolean)
+  },
+  verification: {
+    codeTtl: 5 * 60 * 1000,
+    sessionTtl: 60 * 60 * 1000,
+    maxAttempts: 3
   },
   server: {
     port: parseInt(process.env.PORT) || 10000
+  },
+  storage: {
+    dir: process.env.DATA_DIR || __dirname,
+    flushDelay: 1000,
+    logsInMemory: parseInt(process.env.LOGS_IN_MEMORY) || 10000
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+    pretty: process.env.NODE_ENV !== 'production',
+    dir: process.env.LOG_DIR || path.join(__dirname, 'logs'),
+    maxFileSize: process.env.LOG_MAX_SIZE || '10m',
+    maxFiles: parseInt(process.env.LOG_MAX_FILES) || 14
+  },
+  shop: {
+    webhookSecret: process.env.SHOP_WEBHOOK_SECRET,
+    productsPath: path.join(__dirname, 'shop.json')
+  },
+  chat: {
+    rateMs: parseInt(process.env.CHAT_RATE_MS) || 1000,
+    maxLength: 256,
+    maxBuffered: 100,
+    // Команда личного сообщения для ответов игроку (/msg, /tell, /w)
+    whisperCommand: process.env.CHAT_WHISPER_COMMAND || '/msg',
+    formatsPath: path.join(__dirname, 'chat-formats.json'),
+    // true - команды принимаются только из сообщений с UUID отправителя (1.19+)
+    requireSender: process.env.CHAT_REQUIRE_SENDER === 'true'
+  },
+  // Мост чата включается, если задан BRIDGE_CHAT_ID (id группы, отрицательный)
+  bridge: {
+    chatId: parseInt(process.env.BRIDGE_CHAT_ID) || null,
+    topicId: parseInt(process.env.BRIDGE_TOPIC_ID) || null,
+    settingsPath: path.join(__dirname, 'bridge.json')
+  },
+  connection: {
+    baseDelay: 5 * 1000,
+    maxDelay: 5 * 60 * 1000,
+    maxAttempts: parseInt(process.env.MC_MAX_RECONNECT) || 20,
+    // Вход, не дошедший до spawn (очередь Aternos, зависший логин), обрывается
+    connectTimeout: 60 * 1000,
+    serverFullDelay: 60 * 1000
+  },
+  players: {
+    recentSessions: 10,
+    // Справочные команды (!playtime, !help, !rank, !cooldowns) - не чаще раза в infoCooldown
+    infoCooldown: 10 * 1000
+  },
+  scheduler: {
+    path: path.join(__dirname, 'schedules.json'),
+    tickInterval: 30 * 1000,
+    // Запуск, опоздавший сильнее, считается пропущенным (бот был оффлайн или процесс лежал)
+    graceMs: 90 * 1000
+  },
+  luckPerms: {
+    prefix: process.env.LP_PREFIX || '[LP]',
+    timeout: 4000,
+    idleMs: 700,
+    groupsCacheTtl: 5 * 60 * 1000
+  },
+  lifecycle: {
+    shutdownTimeout: 15 * 1000,
+    stepTimeout: 5 * 1000,
+    // true - перед остановкой предупредить игроков в чате
+    gameNotice: process.env.SHUTDOWN_GAME_NOTICE === 'true'
+  },
+  donators: {
+    expiryWarningDays: parseInt(process.env.RANK_EXPIRY_WARNING_DAYS) || 3,
+    expiryCheckInterval: 60000
   }
 };
 
-// ======================== АДМИНЫ В ИГРЕ ========================
-const GAME_ADMINS = ['voyagerplay', 'Asadbek_Manager'];
-
 // ======================== ЛОГИРОВАНИЕ ========================
-const log = (prefix, msg) => {
-  const timestamp = new Date().toLocaleTimeString('ru-RU');
-  console.log(`[${timestamp}] ${prefix} ${msg}`);
+// Уровни: LOG_LEVEL для всех, LOG_LEVEL_MC / _TELEGRAM / _HTTP / _DB для подсистем.
+// В production в stdout идёт JSON, иначе pino-pretty. Файлы в LOG_DIR
+// ротируются раз в день или по размеру; security.log - только события безопасности.
+const rollingFile = (name) => ({
+  target: 'pino-roll',
+  level: 'trace',
+  options: {
+    file: path.join(config.logging.dir, name),
+    extension: '.log',
+    frequency: 'daily',
+    size: config.logging.maxFileSize,
+    limit: { count: config.logging.maxFiles },
+    mkdir: true
+  }
+});
+
+const stdoutTarget = config.logging.pretty
+  ? {
+    target: 'pino-pretty',
+    level: 'trace',
+    options: {
+      translateTime: 'SYS:HH:MM:ss',
+      ignore: 'pid,hostname,subsystem',
+      messageFormat: '[{subsystem}] {msg}'
+    }
+  }
+  : { target: 'pino/file', level: 'trace', options: { destination: 1 } };
+
+const logger = pino(
+  { level: config.logging.level, timestamp: pino.stdTimeFunctions.isoTime },
+  pino.transport({ targets: [stdoutTarget, rollingFile('app')] })
+);
+
+const securityLogger = pino(
+  { level: 'trace', timestamp: pino.stdTimeFunctions.isoTime },
+  pino.transport({ targets: [rollingFile('security')] })
+);
+
+const createLog = (subsystem) => {
+  const child = logger.child({ subsystem });
+  child.level = process.env[`LOG_LEVEL_${subsystem.toUpperCase()}`] || config.logging.level;
+
+  return {
+    error: (msg) => child.error(msg),
+    info: (msg) => child.info(msg),
+    warn: (msg) => child.warn(msg),
+    debug: (msg) => child.debug(msg),
+    security: (msg) => {
+      child.warn({ security: true }, msg);
+      securityLogger.warn({ subsystem, security: true }, msg);
+    }
+  };
+};
+
+const appLog = createLog('app');
+const mcLog = createLog('mc');
+const tgLog = createLog('telegram');
+const httpLog = createLog('http');
+const dbLog = createLog('db');
+
+const logError = appLog.error;
+const logInfo = appLog.info;
+const logWarn = appLog.warn;
+
+// ======================== МЕТРИКИ ========================
+// Счётчики и датчики для /metrics в текстовом формате Prometheus.
+// Счётчики живут в памяти и обнуляются при рестарте (Prometheus это учитывает),
+// датчики вычисляются в момент запроса.
+const METRICS_PREFIX = 'voyagers_';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+class Metrics {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  counter(name, help) {
+    this.metrics.set(name, { type: 'counter', help, values: new Map() });
+  }
+
+  // collect() → число или [{ labels, value }]
+  gauge(name, help, collect) {
+    this.metrics.set(name, { type: 'gauge', help, collect });
+  }
+
+  inc(name, labels = {}, value = 1) {
+    const metric = this.metrics.get(name);
+    if (!metric || metric.type !== 'counter') throw new Error(`Неизвестный счётчик ${name}`);
+
+    const key = formatLabels(labels);
+    metric.values.set(key, (metric.values.get(key) || 0) + value);
+  }
+
+  samples(metric) {
+    if (metric.type === 'counter') return [...metric.values].map(([labels, value]) => ({ labels, value }));
+
+    const collected = metric.collect();
+    const list = Array.isArray(collected) ? collected : [{ value: collected }];
+    return list.map(sample => ({ labels: formatLabels(sample.labels || {}), value: sample.value }));
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      const fullName = this.prefix + name;
+      let samples;
+      try {
+        samples = this.samples(metric);
+      } catch (error) {
+        appLog.error(`Метрика ${fullName}: ${error.message}`);
+        continue;
+      }
+
+      lines.push(`# HELP ${fullName} ${metric.help}`, `# TYPE ${fullName} ${metric.type}`);
+      for (const { labels, value } of samples) {
+        if (Number.isFinite(value)) lines.push(`${fullName}${labels} ${value}`);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const metrics = new Metrics(METRICS_PREFIX);
+
+metrics.counter('commands_executed_total', 'Команды, выполненные ботом');
+metrics.counter('commands_denied_total', 'Команды, отклонённые ботом или сервером, по причинам');
+metrics.counter('reconnects_total', 'Запланированные переподключения к серверу');
+metrics.counter('telegram_api_errors_total', 'Ошибки запросов к Telegram API');
+
+// ======================== СРОКИ ========================
+// 93780000 → '1д 2ч 3м'
+const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / DURATION_UNITS.m);
+  return [[Math.floor(minutes / 1440), 'д'], [Math.floor(minutes / 60) % 24, 'ч'], [minutes % 60, 'м']]
+    .filter(([value]) => value > 0)
+    .map(([value, unit]) => `${value}${unit}`)
+    .join(' ') || '0м';
 };
 
-const logError = (msg) => log('❌', msg);
-const logInfo = (msg) => log('✅', msg);
-const logWarn = (msg) => log('⚠️', msg);
-const logDebug = (msg) => log('🔍', msg);
-const logSecurity = (msg) => log('🔒', msg);
+// 192000 → '3м 12с', 45000 → '45с'
+const formatTimeLeft = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}м ${seconds % 60}с` : `${seconds}с`;
+};
+
+const formatExpiry = (expiresAt) =>
+  expiresAt ? `до ${new Date(expiresAt).toLocaleDateString('ru-RU')}` : 'навсегда';
+
+// ======================== СХЕМА COMMANDS.JSON ========================
+// Возвращает список ошибок вида "allowedCommands.give.cooldown: ..."; пустой - конфиг годен.
+const COMMAND_ARG_TYPES = ['string', 'text', 'int', 'coord', 'item', 'effect', 'entity', 'gamemode', 'player'];
+const BAN_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const TEMPLATE_BUILTINS = ['player', 'rank'];
+const CONFIRMATION_TIMEOUT_MODES = ['fail', 'ok'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isNonNegativeInt = (value) => Number.isInteger(value) && value >= 0;
+
+const isValidRegex = (source) => {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+function validateCommandsConfig(commands) {
+  const errors = [];
+  const fail = (where, message) => errors.push(`${where}: ${message}`);
+
+  if (!isPlainObject(commands)) return ['commands.json: ожидался объект'];
+
+  for (const section of ['allowedCommands', 'bannedCommands', 'ranks']) {
+    if (!isPlainObject(commands[section])) fail(section, 'обязательный объект');
+  }
+  if (commands.adminCommands !== undefined && !isPlainObject(commands.adminCommands)) {
+    fail('adminCommands', 'ожидался объект');
+  }
+  if (commands.confirmation !== undefined && !isPlainObject(commands.confirmation)) {
+    fail('confirmation', 'ожидался объект');
+  }
+  if (errors.length > 0) return errors;
+
+  const ranks = commands.ranks;
+  const allowed = commands.allowedCommands;
+
+  const validatePatterns = (where, patterns) => {
+    if (patterns === undefined) return;
+    if (!Array.isArray(patterns)) return fail(where, 'ожидался массив регулярных выражений');
+    patterns.forEach((pattern, index) => {
+      if (typeof pattern !== 'string' || !isValidRegex(pattern)) fail(`${where}[${index}]`, 'невалидное регулярное выражение');
+    });
+  };
+
+  const confirmation = commands.confirmation || {};
+  if (confirmation.timeout !== undefined && !(Number.isInteger(confirmation.timeout) && confirmation.timeout > 0)) {
+    fail('confirmation.timeout', 'ожидалось целое число мс > 0');
+  }
+  if (confirmation.onTimeout !== undefined && !CONFIRMATION_TIMEOUT_MODES.includes(confirmation.onTimeout)) {
+    fail('confirmation.onTimeout', `допустимо: ${CONFIRMATION_TIMEOUT_MODES.join(', ')}`);
+  }
+  validatePatterns('confirmation.failure', confirmation.failure);
+
+  const validateCommand = (where, cmd, isDonorCommand) => {
+    if (!isPlainObject(cmd)) return fail(where, 'ожидался объект');
+
+    if (typeof cmd.enabled !== 'boolean') fail(`${where}.enabled`, 'обязательный boolean');
+    for (const field of ['description', 'syntax', 'response']) {
+      if (cmd[field] !== undefined && typeof cmd[field] !== 'string') fail(`${where}.${field}`, 'ожидалась строка');
+    }
+    if (cmd.dangerous !== undefined && typeof cmd.dangerous !== 'boolean') {
+      fail(`${where}.dangerous`, 'ожидался boolean');
+    }
+
+    if (isDonorCommand) {
+      if (!ranks[cmd.requiredRank]) fail(`${where}.requiredRank`, `ранг "${cmd.requiredRank}" не описан в ranks`);
+      if (!isNonNegativeInt(cmd.cooldown)) fail(`${where}.cooldown`, 'обязательное целое число мс ≥ 0');
+    }
+
+    const templates = Array.isArray(cmd.template) ? cmd.template : [cmd.template];
+    if (templates.length === 0 || templates.some(t => typeof t !== 'string' || !t)) {
+      fail(`${where}.template`, 'обязательная строка или массив строк');
+    }
+
+    validatePatterns(`${where}.success`, cmd.success);
+    validatePatterns(`${where}.failure`, cmd.failure);
+
+    if (cmd.args !== undefined && !Array.isArray(cmd.args)) {
+      return fail(`${where}.args`, 'ожидался массив');
+    }
+
+    const argNames = new Set();
+    (cmd.args || []).forEach((arg, index) => {
+      const argWhere = `${where}.args[${index}]`;
+      if (!isPlainObject(arg)) return fail(argWhere, 'ожидался объект');
+
+      if (typeof arg.name !== 'string' || !/^\w+$/.test(arg.name)) fail(`${argWhere}.name`, 'обязательное имя [A-Za-z0-9_]');
+      else if (TEMPLATE_BUILTINS.includes(arg.name)) fail(`${argWhere}.name`, `имя "${arg.name}" зарезервировано`);
+      else argNames.add(arg.name);
+
+      if (!COMMAND_ARG_TYPES.includes(arg.type)) {
+        fail(`${argWhere}.type`, `неизвестный тип "${arg.type}", допустимо: ${COMMAND_ARG_TYPES.join(', ')}`);
+      }
+      if (arg.type === 'text' && index !== cmd.args.length - 1) fail(`${argWhere}.type`, 'text может быть только последним');
+      if (arg.required !== undefined && typeof arg.required !== 'boolean') fail(`${argWhere}.required`, 'ожидался boolean');
+      for (const bound of ['min', 'max']) {
+        if (arg[bound] !== undefined && typeof arg[bound] !== 'number') fail(`${argWhere}.${bound}`, 'ожидалось число');
+      }
+      if (arg.values !== undefined && (!Array.isArray(arg.values) || arg.values.length === 0)) {
+        fail(`${argWhere}.values`, 'ожидался непустой массив');
+      }
+    });
+
+    const placeholders = [
+      ...templates.map(template => ['template', template]),
+      ['response', cmd.response]
+    ];
+    placeholders.forEach(([field, template]) => {
+      if (typeof template !== 'string') return;
+      if (template.includes('§')) fail(`${where}.${field}`, '§ в исходящем чате кикает бота');
+      for (const [, key] of template.matchAll(/\{(\w+)\}/g)) {
+        if (!argNames.has(key) && !TEMPLATE_BUILTINS.includes(key)) {
+          fail(`${where}.${field}`, `{${key}} не объявлен в args`);
+        }
+      }
+    });
+  };
+
+  Object.entries(allowed).forEach(([name, cmd]) => validateCommand(`allowedCommands.${name}`, cmd, true));
+  Object.entries(commands.adminCommands || {}).forEach(([name, cmd]) => validateCommand(`adminCommands.${name}`, cmd, false));
+
+  Object.entries(commands.bannedCommands).forEach(([name, cmd]) => {
+    const where = `bannedCommands.${name}`;
+    if (!isPlainObject(cmd)) return fail(where, 'ожидался объект');
+    if (typeof cmd.blocked !== 'boolean') fail(`${where}.blocked`, 'обязательный boolean');
+    if (cmd.reason !== undefined && typeof cmd.reason !== 'string') fail(`${where}.reason`, 'ожидалась строка');
+    if (cmd.severity !== undefined && !BAN_SEVERITIES.includes(cmd.severity)) {
+      fail(`${where}.severity`, `допустимо: ${BAN_SEVERITIES.join(', ')}`);
+    }
+  });
+
+  Object.entries(ranks).forEach(([name, rank]) => {
+    const where = `ranks.${name}`;
+    if (!isPlainObject(rank)) return fail(where, 'ожидался объект');
+    if (!isNonNegativeInt(rank.level)) fail(`${where}.level`, 'обязательное целое число ≥ 0');
+    if (rank.cooldownMultiplier !== undefined && !(typeof rank.cooldownMultiplier === 'number' && rank.cooldownMultiplier > 0)) {
+      fail(`${where}.cooldownMultiplier`, 'ожидалось число > 0');
+    }
+    if (!Array.isArray(rank.permissions)) {
+      fail(`${where}.permissions`, 'обязательный массив');
+    } else {
+      rank.permissions.filter(p => !allowed[p]).forEach(p => fail(`${where}.permissions`, `команды "${p}" нет в allowedCommands`));
+    }
+    if (rank.inherits !== undefined) {
+      if (!Array.isArray(rank.inherits)) fail(`${where}.inherits`, 'ожидался массив');
+      else rank.inherits.filter(r => !ranks[r]).forEach(r => fail(`${where}.inherits`, `ранг "${r}" не описан`));
+    }
+  });
+
+  return errors;
+}
 
 // ======================== КОМАНДЫ КОНФИГ ========================
+// Последний валидный конфиг копируется в DATA_DIR, чтобы после рестарта с
+// битым commands.json бот работал на нём, а не с пустым списком команд.
 class CommandsManager {
   constructor() {
     this.configPath = path.join(__dirname, 'commands.json');
+    this.lastGoodPath = path.join(config.storage.dir, 'commands.last-good.json');
+    this.watcher = null;
+    this.startupErrors = [];
     this.config = this.loadCommands();
   }
 
-  loadCommands() {
+  // → { commands } или { errors: [...] }
+  readCommands(filePath = this.configPath) {
+    let commands;
     try {
-      if (!fs.existsSync(this.configPath)) {
-        logError('commands.json не найден!');
-        return { allowedCommands: {}, bannedCommands: {}, ranks: {} };
-      }
-      const content = fs.readFileSync(this.configPath, 'utf-8');
-      const commands = JSON.parse(content);
-      logInfo(`Загружено ${Object.keys(commands.allowedCommands).length} команд`);
-      return commands;
+      commands = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
     } catch (error) {
-      logError(`Ошибка загрузки commands.json: ${error.message}`);
-      return { allowedCommands: {}, bannedCommands: {}, ranks: {} };
+      return { errors: [`${path.basename(filePath)}: ${error.message}`] };
+    }
+
+    const errors = validateCommandsConfig(commands);
+    if (errors.length > 0) return { errors };
+
+    commands.adminCommands = commands.adminCommands || {};
+    return { commands };
+  }
+
+  saveLastGood() {
+    try {
+      fs.mkdirSync(path.dirname(this.lastGoodPath), { recursive: true });
+      fs.writeFileSync(this.lastGoodPath, JSON.stringify(this.config, null, 2));
+    } catch (error) {
+      logError(`Не удалось сохранить копию commands.json: ${error.message}`);
+    }
+  }
+
+  loadCommands() {
+    const { commands, errors } = this.readCommands();
+    if (commands) {
+      logInfo(
+        `Загружено ${Object.keys(commands.allowedCommands).length} команд ` +
+        `(+${Object.keys(commands.adminCommands).length} админских)`
+      );
+      this.config = commands;
+      this.saveLastGood();
+      return commands;
+    }
+
+    logError(`commands.json невалиден:\n${errors.join('\n')}`);
+    this.startupErrors = errors;
+
+    if (fs.existsSync(this.lastGoodPath)) {
+      const lastGood = this.readCommands(this.lastGoodPath);
+      if (lastGood.commands) {
+        logWarn('Используется последняя валидная копия commands.json');
+        return lastGood.commands;
+      }
     }
+    return { allowedCommands: {}, adminCommands: {}, bannedCommands: {}, ranks: {} };
+  }
+
+  // Новый конфиг подменяется целиком и только если прошёл схему
+  reload() {
+    const { commands, errors } = this.readCommands();
+    if (!commands) {
+      logError(`commands.json не перезагружен:\n${errors.join('\n')}`);
+      return { ok: false, errors };
+    }
+
+    this.config = commands;
+    this.saveLastGood();
+    logInfo(`commands.json перезагружен (${Object.keys(commands.allowedCommands).length} команд)`);
+    return { ok: true, errors: [] };
+  }
+
+  // Редакторы часто сохраняют через rename, поэтому следим за папкой, а не за файлом
+  watch(onReload) {
+    let debounce = null;
+    this.watcher = fs.watch(path.dirname(this.configPath), (eventType, filename) => {
+      if (filename !== path.basename(this.configPath)) return;
+
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        if (!fs.existsSync(this.configPath)) return;
+        onReload(this.reload());
+      }, 500);
+    });
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
   }
 
   isCommandAllowed(commandName) {
@@ -80,28 +542,73 @@ class CommandsManager {
     return this.config.allowedCommands[commandName.toLowerCase()] || null;
   }
 
+  getAdminCommandInfo(commandName) {
+    const cmd = this.config.adminCommands[commandName.toLowerCase()];
+    return cmd && cmd.enabled === true ? cmd : null;
+  }
+
   getBannedCommandInfo(commandName) {
     return this.config.bannedCommands[commandName.toLowerCase()] || null;
   }
 
+  isRank(rank) {
+    return typeof rank === 'string' && Object.hasOwn(this.config.ranks, rank);
+  }
+
   getRankLevel(rank) {
     return this.config.ranks[rank]?.level || 0;
   }
 
+  // Собственные права ранга + права всех рангов из inherits (рекурсивно)
+  getRankPermissions(rank, visited = new Set()) {
+    const rankInfo = this.config.ranks[rank];
+    if (!rankInfo || visited.has(rank)) return new Set();
+    visited.add(rank);
+
+    const permissions = new Set(rankInfo.permissions || []);
+    for (const parent of rankInfo.inherits || []) {
+      this.getRankPermissions(parent, visited).forEach(p => permissions.add(p));
+    }
+    return permissions;
+  }
+
   canRankUseCommand(rank, command) {
     const cmdInfo = this.getCommandInfo(command);
     if (!cmdInfo) return false;
 
-    const playerRankLevel = this.getRankLevel(rank);
-    const requiredRankLevel = this.getRankLevel(cmdInfo.requiredRank);
+    return this.getRankPermissions(rank).has(command.toLowerCase());
+  }
+
+  getCooldown(rank, command) {
+    const cmdInfo = this.getCommandInfo(command);
+    if (!cmdInfo) return 0;
+
+    const multiplier = this.config.ranks[rank]?.cooldownMultiplier ?? 1;
+    return Math.round((cmdInfo.cooldown || 0) * multiplier);
+  }
 
-    return playerRankLevel >= requiredRankLevel;
+  // Шаблоны ответа сервера для подтверждения; null - команда не подтверждается
+  getConfirmation(cmdInfo) {
+    if (!cmdInfo?.success) return null;
+
+    const defaults = this.config.confirmation || {};
+    const toRegex = (patterns = []) => patterns.map(pattern => new RegExp(pattern, 'i'));
+    return {
+      success: toRegex(cmdInfo.success),
+      failure: toRegex([...(cmdInfo.failure || []), ...(defaults.failure || [])]),
+      timeout: defaults.timeout || 3000,
+      onTimeout: defaults.onTimeout || 'fail'
+    };
   }
 
   getAllowedCommands() {
     return this.config.allowedCommands;
   }
 
+  getAdminCommands() {
+    return this.config.adminCommands;
+  }
+
   getBannedCommands() {
     return this.config.bannedCommands;
   }
@@ -109,104 +616,396 @@ class CommandsManager {
 
 const commandsManager = new CommandsManager();
 
+// ======================== ХРАНИЛИЩЕ ========================
+// state.json - снимок всего, кроме логов (атомарная запись через rename),
+// logs.jsonl - журнал команд, только дозапись по строке на событие.
+const LOG_TAIL_CHUNK = 64 * 1024;
+
+class FileStorage {
+  constructor(dir) {
+    this.snapshotPath = path.join(dir, 'state.json');
+    this.logsPath = path.join(dir, 'logs.jsonl');
+    this.legacyPath = path.join(dir, 'data.json');
+    fs.mkdirSync(dir, { recursive: true });
+    this.repairLogTail();
+  }
+
+  // Если процесс упал посреди дозаписи, следующая строка не должна склеиться с обрывком
+  repairLogTail() {
+    if (!fs.existsSync(this.logsPath)) return;
+    const { size } = fs.statSync(this.logsPath);
+    if (size === 0) return;
+
+    const fd = fs.openSync(this.logsPath, 'r+');
+    try {
+      const lastByte = Buffer.alloc(1);
+      fs.readSync(fd, lastByte, 0, 1, size - 1);
+      if (lastByte.toString() !== '\n') {
+        fs.writeSync(fd, '\n', size);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  hasSnapshot() {
+    return fs.existsSync(this.snapshotPath);
+  }
+
+  hasLegacy() {
+    return fs.existsSync(this.legacyPath);
+  }
+
+  readSnapshot() {
+    return JSON.parse(fs.readFileSync(this.snapshotPath, 'utf-8'));
+  }
+
+  readLegacy() {
+    return JSON.parse(fs.readFileSync(this.legacyPath, 'utf-8'));
+  }
+
+  archiveLegacy() {
+    fs.renameSync(this.legacyPath, `${this.legacyPath}.migrated`);
+  }
+
+  writeSnapshot(data) {
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.snapshotPath);
+  }
+
+  appendLogs(entries) {
+    if (entries.length === 0) return;
+    fs.appendFileSync(this.logsPath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+  }
+
+  // Хвост журнала для памяти: файл читается с конца кусками, пока не наберётся
+  // limit строк, поэтому старт не замедляется с ростом журнала
+  readLogs(limit) {
+    const size = this.logsSize();
+    if (size === 0 || limit <= 0) return [];
+
+    const chunks = [];
+    let position = size;
+    let newlines = 0;
+    const fd = fs.openSync(this.logsPath, 'r');
+    try {
+      // Файл кончается переводом строки, так что limit строк - это limit + 1 перевод
+      while (position > 0 && newlines <= limit) {
+        const length = Math.min(LOG_TAIL_CHUNK, position);
+        position -= length;
+        const chunk = Buffer.alloc(length);
+        fs.readSync(fd, chunk, 0, length, position);
+        chunks.unshift(chunk);
+        for (let index = chunk.indexOf(0x0a); index !== -1; index = chunk.indexOf(0x0a, index + 1)) newlines++;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lines = Buffer.concat(chunks).toString('utf-8').split('\n');
+    if (position > 0) lines.shift(); // первая строка прочитана не с начала
+
+    const logs = [];
+    for (const line of lines) {
+      if (!line) continue;
+      try {
+        logs.push(JSON.parse(line));
+      } catch {
+        // обрывок строки после падения
+      }
+    }
+    return logs.slice(-limit);
+  }
+
+  // Поиск по журналу потоком: журнал не сжимается и растёт, а синхронное
+  // чтение целиком блокировало бы event loop (и keepalive MC).
+  // Читаются только первые size байт - то, что было в файле на момент запроса.
+  async queryLogs(predicate, size) {
+    if (!size) return [];
+
+    const logs = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.logsPath, { encoding: 'utf-8', end: size - 1 }),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // обрывок строки после падения
+      }
+      if (predicate(entry)) logs.push(entry);
+    }
+    return logs;
+  }
+
+  logsSize() {
+    return fs.existsSync(this.logsPath) ? fs.statSync(this.logsPath).size : 0;
+  }
+}
+
 // ======================== БД ДАННЫХ ========================
 class Database {
   constructor() {
-    this.dbPath = path.join(__dirname, 'data.json');
+    this.storage = new FileStorage(config.storage.dir);
+    this.pendingLogs = [];
+    this.flushTimer = null;
     this.data = {
       donators: {},
       commandCooldowns: {},
+      pendingLuckPerms: [],
+      tgStaff: {},
+      gameAdmins: null,
+      apiKeys: {},
+      shopOrders: {},
+      schedules: {},
+      players: {},
       logs: [],
       stats: {
         totalCommands: 0,
         totalDonats: 0,
-        blockedAttempts: 0
+        blockedAttempts: 0,
+        peakPlayers: 0,
+        peakPlayersAt: null
       }
     };
     this.load();
+    this.seedGameAdmins();
+    this.closeStaleSessions();
   }
 
   load() {
     try {
-      if (fs.existsSync(this.dbPath)) {
-        const content = fs.readFileSync(this.dbPath, 'utf-8');
-        this.data = JSON.parse(content);
-        logInfo('БД загружена');
+      if (this.storage.hasSnapshot()) {
+        this.data = {
+          ...this.data,
+          ...this.storage.readSnapshot(),
+          logs: this.storage.readLogs(config.storage.logsInMemory)
+        };
+        this.migrateCooldowns();
+        this.migrateGameAdmins();
+        dbLog.info('БД загружена');
+      } else if (this.storage.hasLegacy()) {
+        this.migrateLegacy();
       } else {
-        this.save();
+        this.flush();
       }
     } catch (error) {
-      logError(`Ошибка загрузки БД: ${error.message}`);
+      // Дальше бот сохранил бы пустое состояние поверх файла и потерял донатеров,
+      // поэтому он не стартует, пока файл не восстановят
+      const file = path.basename(this.storage.hasSnapshot() ? this.storage.snapshotPath : this.storage.legacyPath);
+      dbLog.error(`Ошибка загрузки БД из ${file}: ${error.message}`);
+      throw new Error(`БД не загружена, ${file} оставлен как есть: ${error.message}`);
+    }
+  }
+
+  // Первый запуск без списка админов в БД: берём GAME_ADMINS из окружения.
+  // Коды верификации для них уходят владельцу из ADMIN_ID
+  seedGameAdmins() {
+    if (this.data.gameAdmins) return;
+
+    this.data.gameAdmins = {};
+    config.mc.initialAdmins.forEach(username => {
+      this.data.gameAdmins[username] = { tgId: config.tg.adminId, addedBy: 'GAME_ADMINS', addedAt: Date.now() };
+    });
+    this.save();
+  }
+
+  // Одноразовый перенос из data.json: логи уходят в logs.jsonl, остальное в снимок
+  migrateLegacy() {
+    const legacy = this.storage.readLegacy();
+    const logs = legacy.logs || [];
+
+    this.data = { ...this.data, ...legacy, logs: logs.slice(-config.storage.logsInMemory) };
+    this.migrateCooldowns();
+    this.storage.appendLogs(logs);
+    this.flush();
+    this.storage.archiveLegacy();
+    dbLog.info(`БД перенесена из data.json (${logs.length} логов)`);
+  }
+
+  // Старый формат хранил один кулдаун на игрока: { lastCommand, expiresAt }
+  migrateCooldowns() {
+    for (const [username, cooldowns] of Object.entries(this.data.commandCooldowns)) {
+      if (cooldowns.expiresAt !== undefined) {
+        delete this.data.commandCooldowns[username];
+      }
+    }
+  }
+
+  // Админы из GAME_ADMINS, заведённые до привязки к Telegram, принадлежат владельцу
+  migrateGameAdmins() {
+    for (const admin of Object.values(this.data.gameAdmins || {})) {
+      if (admin.tgId === undefined && admin.addedBy === 'GAME_ADMINS') admin.tgId = config.tg.adminId;
     }
   }
 
+  // Изменения копятся и пишутся на диск одним flush не чаще раза в flushDelay
   save() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), config.storage.flushDelay);
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
     try {
-      fs.writeFileSync(this.dbPath, JSON.stringify(this.data, null, 2));
+      this.storage.appendLogs(this.pendingLogs);
+      this.pendingLogs = [];
+
+      const { logs, ...state } = this.data;
+      this.storage.writeSnapshot(state);
     } catch (error) {
-      logError(`Ошибка сохранения БД: ${error.message}`);
+      dbLog.error(`Ошибка сохранения БД: ${error.message}`);
     }
   }
 
-  addLog(playerName, command, allowed, reason = '') {
-    this.data.logs.push({
+  // actor - кто из персонала Telegram выполнил действие (для игровых команд не задан)
+  addLog(playerName, command, allowed, reason = '', actor = undefined) {
+    const entry = {
       timestamp: Date.now(),
       player: playerName,
       command: command,
       allowed: allowed,
-      reason: reason
-    });
+      reason: reason,
+      actor: actor
+    };
+    this.data.logs.push(entry);
+    this.pendingLogs.push(entry);
 
-    if (this.data.logs.length > 1000) {
-      this.data.logs = this.data.logs.slice(-1000);
+    if (this.data.logs.length > config.storage.logsInMemory) {
+      this.data.logs = this.data.logs.slice(-config.storage.logsInMemory);
     }
 
     this.save();
   }
 
-  addDonator(username, rank) {
+  // durationMs = null - ранг навсегда
+  // group - группа LuckPerms, если она не совпадает с рангом (её и снимать при отзыве)
+  addDonator(username, rank, durationMs = null, group = null) {
     this.data.donators[username] = {
       rank,
-      joinedAt: Date.now()
+      group,
+      joinedAt: Date.now(),
+      expiresAt: durationMs ? Date.now() + durationMs : null
     };
     this.data.stats.totalDonats++;
     this.save();
-    logInfo(`✅ Донат: ${username} - ${rank}`);
+    dbLog.info(`✅ Донат: ${username} - ${rank} (${formatExpiry(this.data.donators[username].expiresAt)})`);
+  }
+
+  // Продление того же ранга: срок прибавляется к оставшемуся, а не к текущему моменту
+  extendDonator(username, durationMs) {
+    const donator = this.data.donators[username];
+    donator.expiresAt = Math.max(Date.now(), donator.expiresAt) + durationMs;
+    this.data.stats.totalDonats++;
+    this.save();
+    dbLog.info(`🔁 Продление: ${username} - ${donator.rank} (${formatExpiry(donator.expiresAt)})`);
+  }
+
+  getExpiredDonators(now = Date.now()) {
+    return Object.entries(this.data.donators)
+      .filter(([, info]) => info.expiresAt && info.expiresAt <= now)
+      .map(([username, info]) => ({ username, ...info }));
+  }
+
+  queueLuckPermsCommand(command) {
+    this.data.pendingLuckPerms.push(command);
+    this.save();
+  }
+
+  takePendingLuckPermsCommands() {
+    const commands = this.data.pendingLuckPerms;
+    this.data.pendingLuckPerms = [];
+    this.save();
+    return commands;
+  }
+
+  // Команды для игрока, ещё не отправленные в LuckPerms
+  hasPendingLuckPerms(username) {
+    return this.data.pendingLuckPerms.some(command => command.includes(` user ${username} `));
   }
 
   getDonator(username) {
     return this.data.donators[username] || null;
   }
 
-  setCooldown(username, cooldownMs = 300000) {
-    this.data.commandCooldowns[username] = {
+  // Смена ранга без новой покупки: срок и статистика не трогаются
+  setDonatorRank(username, rank, group = null) {
+    const donator = this.data.donators[username];
+    this.data.donators[username] = {
+      rank,
+      group,
+      joinedAt: donator?.joinedAt || Date.now(),
+      expiresAt: donator?.expiresAt || null
+    };
+    this.save();
+  }
+
+  setCooldown(username, command, cooldownMs = 300000) {
+    const cooldowns = this.data.commandCooldowns[username] || {};
+    cooldowns[command] = {
       lastCommand: Date.now(),
       expiresAt: Date.now() + cooldownMs
     };
+    this.data.commandCooldowns[username] = cooldowns;
+    this.save();
+  }
+
+  // Возврат кулдауна, если сервер не выполнил команду
+  clearCooldown(username, command) {
+    if (!this.data.commandCooldowns[username]?.[command]) return;
+
+    delete this.data.commandCooldowns[username][command];
+    if (Object.keys(this.data.commandCooldowns[username]).length === 0) {
+      delete this.data.commandCooldowns[username];
+    }
     this.save();
   }
 
-  isOnCooldown(username) {
-    const cooldown = this.data.commandCooldowns[username];
+  isOnCooldown(username, command) {
+    const cooldown = this.data.commandCooldowns[username]?.[command];
     if (!cooldown) return false;
 
     const now = Date.now();
     if (now > cooldown.expiresAt) {
-      delete this.data.commandCooldowns[username];
+      delete this.data.commandCooldowns[username][command];
+      if (Object.keys(this.data.commandCooldowns[username]).length === 0) {
+        delete this.data.commandCooldowns[username];
+      }
       this.save();
       return false;
     }
     return true;
   }
 
-  getCooldownTimeLeft(username) {
-    const cooldown = this.data.commandCooldowns[username];
+  getCooldownTimeLeft(username, command) {
+    const cooldown = this.data.commandCooldowns[username]?.[command];
     if (!cooldown) return 0;
 
     const timeLeft = cooldown.expiresAt - Date.now();
     return Math.max(0, timeLeft);
   }
 
+  // → [{ command, timeLeft }] по активным кулдаунам игрока, ближайшие первыми
+  getCooldowns(username) {
+    const now = Date.now();
+    return Object.entries(this.data.commandCooldowns[username] || {})
+      .filter(([, cooldown]) => cooldown.expiresAt > now)
+      .map(([command, cooldown]) => ({ command, timeLeft: cooldown.expiresAt - now }))
+      .sort((a, b) => a.timeLeft - b.timeLeft);
+  }
+
   removeDonator(username) {
     if (this.data.donators[username]) {
       delete this.data.donators[username];
@@ -219,52 +1018,484 @@ class Database {
   getAllDonators() {
     return this.data.donators;
   }
-}
 
-const db = new Database();
+  isGameAdmin(username) {
+    return !!this.data.gameAdmins[username];
+  }
 
-// ======================== ПРОВЕРКА СЕРВЕРА ========================
-class ServerChecker {
-  constructor(host, port, timeout = 5000) {
-    this.host = host;
-    this.port = port;
-    this.timeout = timeout;
-    this.isOnline = false;
+  getGameAdmins() {
+    return Object.keys(this.data.gameAdmins);
   }
 
-  async check() {
-    return new Promise((resolve) => {
-      const socket = net.createConnection(this.port, this.host);
-      const timer = setTimeout(() => {
-        socket.destroy();
-        resolve(false);
-      }, this.timeout);
+  // tgId - Telegram админа, туда уходят его коды верификации
+  addGameAdmin(username, tgId, addedBy) {
+    this.data.gameAdmins[username] = { tgId, addedBy, addedAt: Date.now() };
+    this.save();
+  }
 
-      socket.on('connect', () => {
+  getGameAdminTgId(username) {
+    return this.data.gameAdmins[username]?.tgId || null;
+  }
+
+  removeGameAdmin(username) {
+    if (this.data.gameAdmins[username]) {
+      delete this.data.gameAdmins[username];
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  // Хранится только sha256 ключа, сам ключ показывается один раз при создании
+  createApiKey(name, createdBy) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const token = `vs_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    this.data.apiKeys[id] = {
+      name,
+      hash: crypto.createHash('sha256').update(token).digest('hex'),
+      createdBy,
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    this.save();
+    return { id, token };
+  }
+
+  findApiKey(token) {
+    const id = token.match(/^vs_([0-9a-f]{8})_/)?.[1];
+    const apiKey = id && this.data.apiKeys[id];
+    if (!apiKey) return null;
+
+    const hash = crypto.createHash('sha256').update(token).digest();
+    if (!crypto.timingSafeEqual(hash, Buffer.from(apiKey.hash, 'hex'))) return null;
+
+    apiKey.lastUsedAt = Date.now();
+    this.save();
+    return { id, ...apiKey };
+  }
+
+  getApiKeys() {
+    return this.data.apiKeys;
+  }
+
+  revokeApiKey(id) {
+    if (this.data.apiKeys[id]) {
+      delete this.data.apiKeys[id];
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  getShopOrder(orderId) {
+    return this.data.shopOrders[orderId] || null;
+  }
+
+  addShopOrder(orderId, order) {
+    this.data.shopOrders[orderId] = { ...order, processedAt: Date.now() };
+    this.save();
+  }
+
+  // ---------- Сессии игроков ----------
+  // Открытая сессия - currentSession (время входа). lastSeen открытых сессий
+  // периодически обновляется, чтобы после падения процесса закрыть их по нему.
+  startSession(username, at = Date.now()) {
+    const player = this.data.players[username] || {
+      firstSeen: at,
+      lastSeen: at,
+      playtime: 0,
+      sessionCount: 0,
+      currentSession: null,
+      recentSessions: []
+    };
+    if (!player.currentSession) {
+      player.currentSession = at;
+      player.sessionCount++;
+    }
+    player.lastSeen = at;
+    this.data.players[username] = player;
+    this.save();
+  }
+
+  endSession(username, at = Date.now()) {
+    const player = this.data.players[username];
+    if (!player?.currentSession) return;
+
+    player.playtime += Math.max(0, at - player.currentSession);
+    player.recentSessions = [...player.recentSessions, { joinedAt: player.currentSession, leftAt: at }]
+      .slice(-config.players.recentSessions);
+    player.currentSession = null;
+    player.lastSeen = at;
+    this.save();
+  }
+
+  hasOpenSession(username) {
+    return !!this.data.players[username]?.currentSession;
+  }
+
+  // После переподключения: сессии тех, кого уже нет на сервере, закрываются
+  // временем разрыва (lastSeen), остальные продолжаются
+  reconcileSessions(online) {
+    for (const [username, player] of Object.entries(this.data.players)) {
+      if (player.currentSession && !online.has(username)) this.endSession(username, player.lastSeen);
+    }
+  }
+
+  // Остановка бота: закрываем все сессии, иначе время до запуска
+  // засчитается как игровое
+  endAllSessions(at = Date.now()) {
+    for (const [username, player] of Object.entries(this.data.players)) {
+      if (player.currentSession) this.endSession(username, at);
+    }
+  }
+
+  touchSessions(at = Date.now()) {
+    for (const player of Object.values(this.data.players)) {
+      if (player.currentSession) player.lastSeen = at;
+    }
+    this.save();
+  }
+
+  closeStaleSessions() {
+    for (const [username, player] of Object.entries(this.data.players)) {
+      if (player.currentSession) this.endSession(username, player.lastSeen);
+    }
+  }
+
+  // Поиск без учёта регистра; playtime включает текущую сессию
+  getPlayer(username, now = Date.now()) {
+    const name = this.data.players[username]
+      ? username
+      : Object.keys(this.data.players).find(key => key.toLowerCase() === username.toLowerCase());
+    if (!name) return null;
+
+    const player = this.data.players[name];
+    return {
+      username: name,
+      ...player,
+      online: !!player.currentSession,
+      playtime: player.playtime + (player.currentSession ? now - player.currentSession : 0)
+    };
+  }
+
+  getTopPlaytime(limit = 10) {
+    return Object.keys(this.data.players)
+      .map(username => this.getPlayer(username))
+      .sort((a, b) => b.playtime - a.playtime)
+      .slice(0, limit);
+  }
+
+  updatePeakPlayers(count) {
+    if (count <= (this.data.stats.peakPlayers || 0)) return;
+    this.data.stats.peakPlayers = count;
+    this.data.stats.peakPlayersAt = Date.now();
+    this.save();
+  }
+
+  getSchedules() {
+    return this.data.schedules;
+  }
+
+  getSchedule(id) {
+    return this.data.schedules[id] || null;
+  }
+
+  setSchedule(id, schedule) {
+    this.data.schedules[id] = schedule;
+    this.save();
+  }
+
+  removeSchedule(id) {
+    if (!this.data.schedules[id]) return false;
+    delete this.data.schedules[id];
+    this.save();
+    return true;
+  }
+
+  getTgStaff() {
+    return this.data.tgStaff;
+  }
+
+  setTgStaff(userId, info) {
+    this.data.tgStaff[userId] = info;
+    this.save();
+  }
+
+  removeTgStaff(userId) {
+    if (this.data.tgStaff[userId]) {
+      delete this.data.tgStaff[userId];
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  // Полная история из logs.jsonl, а не только окно в памяти
+  // Размер файла и ещё не записанные логи берутся в один момент, поэтому
+  // flush во время чтения не даёт ни дублей, ни пропусков
+  async queryLogs(predicate) {
+    const pending = this.pendingLogs.filter(predicate);
+    const logs = await this.storage.queryLogs(predicate, this.storage.logsSize());
+    return logs.concat(pending);
+  }
+}
+
+const db = new Database();
+
+// ======================== ВЕРИФИКАЦИЯ АДМИНОВ ========================
+// Сервер в offline-режиме: ник в чате ничего не доказывает. Админ получает
+// одноразовый код в свой Telegram (привязан в /gameadmin add) и вводит его
+// в игре через !verify.
+class GameAdminVerifier {
+  constructor(options) {
+    this.options = options;
+    this.pendingCodes = new Map();
+    this.sessions = new Map();
+  }
+
+  isVerified(username) {
+    const verifiedUntil = this.sessions.get(username);
+    if (!verifiedUntil) return false;
+
+    if (Date.now() > verifiedUntil) {
+      this.sessions.delete(username);
+      return false;
+    }
+    return true;
+  }
+
+  // Повторный запрос не перевыпускает код, пока старый не истёк
+  issueCode(username) {
+    const pending = this.pendingCodes.get(username);
+    if (pending && Date.now() < pending.expiresAt) return null;
+
+    const code = String(crypto.randomInt(100000, 1000000));
+    this.pendingCodes.set(username, {
+      code,
+      expiresAt: Date.now() + this.options.codeTtl,
+      attempts: 0
+    });
+    return code;
+  }
+
+  // → 'ok' | 'no_code' | 'expired' | 'wrong' | 'locked'
+  verify(username, code) {
+    const pending = this.pendingCodes.get(username);
+    if (!pending) return 'no_code';
+
+    if (Date.now() > pending.expiresAt) {
+      this.pendingCodes.delete(username);
+      return 'expired';
+    }
+
+    if (pending.code !== code) {
+      pending.attempts++;
+      if (pending.attempts >= this.options.maxAttempts) {
+        this.pendingCodes.delete(username);
+        return 'locked';
+      }
+      return 'wrong';
+    }
+
+    this.pendingCodes.delete(username);
+    this.sessions.set(username, Date.now() + this.options.sessionTtl);
+    return 'ok';
+  }
+
+  revoke(username) {
+    this.pendingCodes.delete(username);
+    this.sessions.delete(username);
+  }
+
+  // Пока бот был оффлайн, игроки могли перезайти незамеченными
+  revokeAll() {
+    this.pendingCodes.clear();
+    this.sessions.clear();
+  }
+}
+
+const adminVerifier = new GameAdminVerifier(config.verification);
+
+// ======================== ПРОВЕРКА СЕРВЕРА ========================
+// Server List Ping: handshake (next state = status) → status request → JSON с
+// MOTD, версией и игроками, затем ping/pong для задержки. Прокси Aternos
+// принимает соединения и у выключенного сервера, поэтому состояние
+// определяется по названию версии (туда Aternos пишет статус), а не по факту
+// подключения. MOTD проверяется только у *.aternos.me: у обычного сервера
+// в нём может быть что угодно ("Saving the world since 2020").
+const SERVER_OFFLINE_MOTD = /\boffline\b|оффлайн/i;
+const SERVER_STARTING_MOTD = /starting|loading|preparing|waiting in queue|queue|stopping|saving|restarting/i;
+const SERVER_STATES = ['online', 'starting', 'offline', 'unreachable'];
+const ATERNOS_HOST = /\.aternos\.me$/i;
+
+const writeVarInt = (value) => {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value) byte |= 0x80;
+    bytes.push(byte);
+  } while (value);
+  return Buffer.from(bytes);
+};
+
+// → { value, offset } или null, если буфер ещё не дочитан
+function readVarInt(buffer, offset) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (offset >= buffer.length) return null;
+    if (shift > 28) throw new Error('VarInt длиннее 5 байт');
+    byte = buffer[offset++];
+    value |= (byte & 0x7f) << shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return { value, offset };
+}
+
+const encodeString = (text) => {
+  const data = Buffer.from(text, 'utf-8');
+  return Buffer.concat([writeVarInt(data.length), data]);
+};
+
+const encodePacket = (id, ...fields) => {
+  const body = Buffer.concat([writeVarInt(id), ...fields]);
+  return Buffer.concat([writeVarInt(body.length), body]);
+};
+
+class ServerChecker {
+  constructor(host, port, timeout = 5000) {
+    this.host = host;
+    this.port = port;
+    this.timeout = timeout;
+    this.isOnline = false;
+    // Одно из SERVER_STATES
+    this.state = 'unreachable';
+    this.status = null;
+  }
+
+  parseStatus(response, latency) {
+    const motd = stripFormatting(chatComponentText(response.description)).trim();
+    const version = stripFormatting(response.version?.name || '').trim();
+    const protocol = response.version?.protocol ?? null;
+
+    const status = ATERNOS_HOST.test(this.host) ? [version, motd] : [version];
+    let state = 'online';
+    if (status.some(text => SERVER_OFFLINE_MOTD.test(text))) state = 'offline';
+    else if (status.some(text => SERVER_STARTING_MOTD.test(text))) state = 'starting';
+
+    return {
+      state,
+      motd,
+      version,
+      protocol,
+      minecraftVersion: minecraftData.postNettyVersionsByProtocolVersion.pc[protocol]?.[0]?.minecraftVersion || null,
+      players: {
+        online: response.players?.online ?? 0,
+        max: response.players?.max ?? 0,
+        sample: (response.players?.sample || []).map(player => player.name).filter(Boolean)
+      },
+      latency
+    };
+  }
+
+  // → статус сервера или null, если Server List Ping не удался
+  ping() {
+    return new Promise((resolve) => {
+      const socket = net.createConnection(this.port, this.host);
+      let buffer = Buffer.alloc(0);
+      let status = null;
+      let sentAt = 0;
+      let done = false;
+
+      const finish = (result) => {
+        if (done) return;
+        done = true;
         clearTimeout(timer);
         socket.destroy();
-        resolve(true);
+        resolve(result);
+      };
+
+      // Без pong статус всё равно годен, задержка тогда по ответу на status request
+      const timer = setTimeout(() => finish(status), this.timeout);
+
+      socket.on('connect', () => {
+        const port = Buffer.alloc(2);
+        port.writeUInt16BE(this.port);
+        socket.write(Buffer.concat([
+          encodePacket(0x00, writeVarInt(-1), encodeString(this.host), port, writeVarInt(1)),
+          encodePacket(0x00)
+        ]));
+        sentAt = Date.now();
       });
 
-      socket.on('error', () => {
-        clearTimeout(timer);
-        resolve(false);
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        try {
+          for (;;) {
+            const length = readVarInt(buffer, 0);
+            if (!length || buffer.length < length.offset + length.value) return;
+
+            const packet = buffer.subarray(length.offset, length.offset + length.value);
+            buffer = buffer.subarray(length.offset + length.value);
+            const id = readVarInt(packet, 0);
+
+            if (id.value === 0x00 && !status) {
+              const size = readVarInt(packet, id.offset);
+              const json = packet.subarray(size.offset, size.offset + size.value).toString('utf-8');
+              status = this.parseStatus(JSON.parse(json), Date.now() - sentAt);
+
+              const payload = Buffer.alloc(8);
+              payload.writeBigInt64BE(BigInt(Date.now()));
+              socket.write(encodePacket(0x01, payload));
+              sentAt = Date.now();
+            } else if (id.value === 0x01 && status) {
+              status.latency = Date.now() - sentAt;
+              return finish(status);
+            }
+          }
+        } catch (error) {
+          mcLog.debug(`Server List Ping: ${error.message}`);
+          finish(null);
+        }
       });
+
+      socket.on('error', () => finish(null));
+      socket.on('close', () => finish(status));
     });
   }
 
   async updateStatus() {
-    const wasOnline = this.isOnline;
-    this.isOnline = await this.check();
+    const previous = this.state;
+    const status = await this.ping();
+
+    this.status = status && { ...status, checkedAt: Date.now() };
+    this.state = status?.state || 'unreachable';
+    this.isOnline = this.state === 'online';
+
+    if (previous !== this.state) {
+      const messages = {
+        online: '🟢 СЕРВЕР ОНЛАЙН!',
+        starting: `🟡 Сервер запускается: ${status?.motd}`,
+        offline: '🔴 СЕРВЕР ОФФЛАЙН!',
+        unreachable: '🔴 СЕРВЕР НЕДОСТУПЕН!'
+      };
+      (this.isOnline ? mcLog.info : mcLog.warn)(messages[this.state]);
+    }
 
-    if (!wasOnline && this.isOnline) {
-      logInfo('🟢 СЕРВЕР ОНЛАЙН!');
-    } else if (wasOnline && !this.isOnline) {
-      logWarn('🔴 СЕРВЕР ОФФЛАЙН!');
+    // Без MC_VERSION реестр предметов подстраивается под версию сервера
+    if (this.isOnline && !config.mc.version && status.minecraftVersion) {
+      loadRegistry(status.minecraftVersion);
     }
 
     return this.isOnline;
   }
+
+  summary() {
+    return { state: this.state, ...this.status };
+  }
 }
 
 const serverChecker = new ServerChecker(config.mc.host, config.mc.port);
@@ -272,532 +1503,1906 @@ const serverChecker = new ServerChecker(config.mc.host, config.mc.port);
 // ======================== TELEGRAM БОТ ========================
 const tgBot = new Telegraf(config.tg.token);
 
+// Telegraf создаёт свой клиент на каждый апдейт, поэтому ошибки API считаются
+// и в общем клиенте (рассылки, polling), и в клиенте каждого контекста
+const countTelegramErrors = (telegram) => {
+  const callApi = telegram.callApi.bind(telegram);
+  telegram.callApi = (method, ...rest) => callApi(method, ...rest).catch(error => {
+    metrics.inc('telegram_api_errors_total', { method, code: error.code || 'network' });
+    throw error;
+  });
+};
+
+countTelegramErrors(tgBot.telegram);
+tgBot.use((ctx, next) => {
+  countTelegramErrors(ctx.telegram);
+  return next();
+});
+
 let bot = null;
-let reconnectAttempts = 0;
-const MAX_RECONNECT = 20;
 
-// ======================== MC БОТ ========================
-function createMCBot() {
-  if (!serverChecker.isOnline) {
-    logWarn('Сервер оффлайн, переподключение через 30 сек');
-    setTimeout(createMCBot, 30000);
-    return;
+// ======================== ОЧЕРЕДЬ ЧАТА ========================
+// Все исходящие сообщения и команды идут через одну очередь не чаще rateMs:
+// сначала команды сервера, потом ответы игрокам, потом косметика.
+// Пока бот оффлайн, buffer-сообщения ждут подключения, drop - выбрасываются.
+const CHAT_PRIORITIES = ['command', 'normal', 'cosmetic'];
+
+class ChatQueue {
+  constructor(options, getBot) {
+    this.options = options;
+    this.getBot = getBot;
+    this.queues = Object.fromEntries(CHAT_PRIORITIES.map(priority => [priority, []]));
+    this.timer = null;
+    this.lastSentAt = 0;
   }
 
-  try {
-    logInfo('🔌 Подключение к MC серверу...');
-
-    bot = mineflayer.createBot({
-      host: config.mc.host,
-      port: config.mc.port,
-      username: config.mc.username,
-      version: config.mc.version,
-      auth: 'offline',
-      hideErrors: false
-    });
+  get size() {
+    return CHAT_PRIORITIES.reduce((sum, priority) => sum + this.queues[priority].length, 0);
+  }
 
-    bot.on('spawn', () => {
-      logInfo('🎮 БОТ НА СЕРВЕРЕ!');
-      reconnectAttempts = 0;
+  isConnected() {
+    return !!this.getBot()?.entity;
+  }
+
+  // → Promise<boolean>: true - отправлено, false - выброшено
+  send(text, options = {}) {
+    const priority = options.priority || (text.startsWith('/') ? 'command' : 'normal');
+    const whenOffline = options.whenOffline || (priority === 'cosmetic' ? 'drop' : 'buffer');
 
-      setTimeout(() => {
-        bot.chat('🤖 VoyagersSpace v5.0 активирована!');
-      }, 2000);
+    const parts = this.split(text);
+    if (!parts) {
+      mcLog.error(`Команда длиннее ${this.options.maxLength} символов не отправлена: ${text.slice(0, 50)}…`);
+      return Promise.resolve(false);
+    }
+    if (!this.isConnected() && whenOffline === 'drop') {
+      return Promise.resolve(false);
+    }
 
-      tgBot.telegram.sendMessage(
-        config.tg.adminId,
-        '✅ <b>БОТ ПОДКЛЮЧЕН</b>\n🔒 Система активна!\n🎮 Версия: v5.0',
-        { parse_mode: 'HTML' }
-      ).catch(err => logError(`Ошибка: ${err.message}`));
+    return new Promise(resolve => {
+      parts.forEach((part, index) => {
+        this.queues[priority].push({
+          text: part,
+          whenOffline,
+          resolve: index === parts.length - 1 ? resolve : null
+        });
+      });
+      this.trim();
+      this.schedule();
     });
+  }
 
-    bot.on('playerJoined', (player) => {
-      if (player.username === bot.username) return;
-
-      logInfo(`👤 ${player.username} присоединился`);
-      const isAdmin = GAME_ADMINS.includes(player.username);
-      const donator = db.getDonator(player.username);
-      
-      let greeting = `👋 Добро пожаловать, ${player.username}!`;
-      if (isAdmin) {
-        greeting += ' 👑 ВЛАДЕЛЕЦ';
-      } else if (donator) {
-        greeting += ` (${donator.rank})`;
-      }
+  // Личное сообщение игроку; каждая строка режется так, чтобы вместе с
+  // командой влезть в maxLength. → Promise<boolean>: true - отправлено всё
+  whisper(playerName, lines, options = {}) {
+    const prefix = `${this.options.whisperCommand} ${playerName} `;
+    const parts = [].concat(lines).flatMap(line => this.split(line, this.options.maxLength - prefix.length));
 
-      bot.chat(greeting);
+    return Promise.all(parts.map(part => this.send(prefix + part, { priority: 'normal', ...options })))
+      .then(results => results.every(Boolean));
+  }
 
-      tgBot.telegram.sendMessage(
-        config.tg.adminId,
-        `🚀 ${isAdmin ? '👑' : '🎮'} <b>${player.username}</b> присоединился`,
-        { parse_mode: 'HTML' }
-      ).catch(err => logError(`Ошибка: ${err.message}`));
-    });
+  // Сообщения режутся по словам, команды резать нельзя
+  split(text, max = this.options.maxLength) {
+    if (text.length <= max) return [text];
+    if (text.startsWith('/')) return null;
+
+    const parts = [];
+    let rest = text;
+    while (rest.length > max) {
+      let cut = rest.lastIndexOf(' ', max);
+      if (cut <= 0) cut = max;
+      parts.push(rest.slice(0, cut));
+      rest = rest.slice(cut).trimStart();
+    }
+    if (rest) parts.push(rest);
+    return parts;
+  }
 
-    bot.on('playerLeft', (player) => {
-      logInfo(`👋 ${player.username} вышел`);
-    });
+  // Переполнение: выбрасываем самые старые из наименее важных
+  trim() {
+    while (this.size > this.options.maxBuffered) {
+      const priority = [...CHAT_PRIORITIES].reverse().find(p => this.queues[p].length > 0);
+      const dropped = this.queues[priority].shift();
+      dropped.resolve?.(false);
+      mcLog.warn(`Очередь чата переполнена, выброшено: ${dropped.text.slice(0, 50)}`);
+    }
+  }
 
-    bot.on('message', (jsonMsg) => {
-      try {
-        const message = jsonMsg.toString();
-        logDebug(`Чат: ${message}`);
-
-        // ========== ПАРСИНГ ГРУПП LUCKPERMS ==========
-        if (botState.isCapturingGroups) {
-          const groupMatch = message.match(/^[-–]\s+([a-zA-Z0-9_]+)$/m);
-          
-          if (groupMatch && groupMatch[1]) {
-            const group = groupMatch[1];
-            const ignoreList = [
-              'lp', 'luckperms', 'groups', 'info', 'usage', 'default', 
-              'error', 'players', 'permission', 'user', 'group', 'track'
-            ];
-
-            if (!ignoreList.includes(group.toLowerCase()) && 
-                !botState.foundGroups.includes(group)) {
-              botState.foundGroups.push(group);
-              logDebug(`📍 Группа: ${group}`);
-            }
-          }
-        }
+  schedule() {
+    if (this.timer || this.size === 0 || !this.isConnected()) return;
 
-        // ========== ПАРСИНГ КОМАНД ИГРОКОВ ==========
-        const commandMatch = message.match(/^<([^>]+)>\s*!(\w+)\s*(.*)/);
-        if (commandMatch) {
-          const playerName = commandMatch[1];
-          const commandName = commandMatch[2].toLowerCase();
-          const args = commandMatch[3].trim();
+    const wait = Math.max(0, this.lastSentAt + this.options.rateMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.sendNext();
+      this.schedule();
+    }, wait);
+  }
 
-          handlePlayerCommand(playerName, commandName, args);
-        }
+  sendNext() {
+    if (!this.isConnected()) return;
 
-      } catch (error) {
-        logError(`Ошибка сообщения: ${error.message}`);
-      }
-    });
+    const priority = CHAT_PRIORITIES.find(p => this.queues[p].length > 0);
+    if (!priority) return;
 
-    bot.on('error', (err) => {
-      logError(`MC ошибка: ${err.message}`);
-    });
+    const item = this.queues[priority].shift();
+    this.getBot().chat(item.text);
+    this.lastSentAt = Date.now();
+    item.resolve?.(true);
+  }
 
-    bot.on('end', () => {
-      logWarn('❌ Соединение разорвано');
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
 
-      if (reconnectAttempts < MAX_RECONNECT) {
-        reconnectAttempts++;
-        const delay = Math.min(5000 * reconnectAttempts, 120000);
-        logWarn(`🔄 Попытка ${reconnectAttempts}/${MAX_RECONNECT}`);
-        setTimeout(createMCBot, delay);
-      } else {
-        logError('❌ МАКС ПОПЫТОК!');
-      }
-    });
+    for (const priority of CHAT_PRIORITIES) {
+      this.queues[priority] = this.queues[priority].filter(item => {
+        if (item.whenOffline === 'buffer') return true;
+        item.resolve?.(false);
+        return false;
+      });
+    }
+  }
 
-  } catch (error) {
-    logError(`Ошибка бота: ${error.message}`);
-    setTimeout(createMCBot, 30000);
+  resume() {
+    this.schedule();
   }
 }
 
-// ======================== ОБРАБОТКА КОМАНД ========================
-function handlePlayerCommand(playerName, command, args) {
-  const isAdmin = GAME_ADMINS.includes(playerName);
+const chatQueue = new ChatQueue(config.chat, () => bot);
 
-  // ✅ АДМИНЫ МОГУТ ВСЕ
-  if (isAdmin) {
-    logInfo(`👑 АДМИН: ${playerName} → !${command}`);
-    executeCommand(playerName, command, args, 'ADMIN');
-    return;
+// ======================== ПАРСИНГ ЧАТА ========================
+// Разбор строк чата - в lib/chat.js, здесь загрузка форматов и проверка отправителя
+function loadChatFormats(botName) {
+  try {
+    const formats = JSON.parse(fs.readFileSync(config.chat.formatsPath, 'utf-8'));
+    return compileChatFormats(formats, botName);
+  } catch (error) {
+    mcLog.error(`Ошибка загрузки chat-formats.json, только ванильный формат: ${error.message}`);
+    return compileChatFormats(DEFAULT_CHAT_FORMATS, botName);
   }
+}
 
-  // ПРОВЕРКА 1: Донатер ли?
-  const donator = db.getDonator(playerName);
-  
-  if (!donator) {
-    bot.chat(`❌ ${playerName}, команды только для донатов!`);
-    logWarn(`${playerName} без доната`);
-    db.addLog(playerName, command, false, 'НЕ ДОНАТЕР');
-    return;
-  }
+const chatFormats = loadChatFormats(config.mc.username);
 
-  // ПРОВЕРКА 2: В чёрном списке?
-  if (commandsManager.isCommandBanned(command)) {
-    const banInfo = commandsManager.getBannedCommandInfo(command);
-    bot.chat(`🔒 ${playerName}, команда !${command} ЗАПРЕЩЕНА!`);
-    logSecurity(`⛔ ${playerName} попытался !${command}`);
-    db.addLog(playerName, command, false, 'ЗАПРЕЩЕНА');
-    db.data.stats.blockedAttempts++;
-    db.save();
-    return;
+// Отправитель строки чата. UUID из пакета подписанного чата надёжнее ника
+// из текста: текст может подделать плагин или сам игрок. Без UUID ник
+// принимается, только если такой игрок сейчас онлайн.
+function resolveChatSender(parsed, senderUuid) {
+  if (senderUuid) {
+    const player = Object.values(bot.players).find(p => p.uuid === senderUuid);
+    return player?.username || null;
   }
+  if (config.chat.requireSender) return null;
+  return bot.players[parsed.name] ? parsed.name : null;
+}
 
-  // ПРОВЕРКА 3: Разрешена ли?
-  if (!commandsManager.isCommandAllowed(command)) {
-    bot.chat(`❌ ${playerName}, неизвестная команда !${command}`);
-    db.addLog(playerName, command, false, 'НЕИЗВЕСТНА');
-    return;
+// ======================== МОСТ ЧАТА ========================
+// Minecraft ⇄ Telegram-группа (или тема группы). Настройки в bridge.json:
+// события для Telegram, фильтры обоих направлений, ники MC → Telegram для
+// упоминаний и антиспам. В Telegram строки копятся и уходят пачкой раз в
+// flushMs, чтобы не упереться в лимиты Bot API.
+const BRIDGE_EVENTS = ['chat', 'join', 'leave', 'death', 'advancement'];
+const DEFAULT_BRIDGE_SETTINGS = {
+  toTelegram: { events: BRIDGE_EVENTS, ignore: ['^!'] },
+  toGame: { enabled: true, ignore: ['^/'], maxLength: 200 },
+  mentions: {},
+  antiSpam: { userCooldownMs: 3000, flushMs: 2000, maxBatchLines: 20 }
+};
+
+// §c§l и прочие коды форматирования; в исходящем чате § кикает бота
+const stripFormatting = (text) => text.replace(/§[0-9a-fk-orx]?/gi, '');
+
+function loadBridgeSettings() {
+  let settings = {};
+  try {
+    settings = JSON.parse(fs.readFileSync(config.bridge.settingsPath, 'utf-8'));
+  } catch (error) {
+    tgLog.error(`Ошибка загрузки bridge.json, настройки по умолчанию: ${error.message}`);
   }
 
-  const cmdInfo = commandsManager.getCommandInfo(command);
+  const merged = Object.fromEntries(Object.entries(DEFAULT_BRIDGE_SETTINGS)
+    .map(([key, defaults]) => [key, { ...defaults, ...settings[key] }]));
+  const toRegex = (patterns) => patterns.map(pattern => new RegExp(pattern, 'i'));
+  merged.toTelegram.ignore = toRegex(merged.toTelegram.ignore);
+  merged.toGame.ignore = toRegex(merged.toGame.ignore);
+  return merged;
+}
 
-  // ПРОВЕРКА 4: Ранг достаточный?
-  if (!commandsManager.canRankUseCommand(donator.rank, command)) {
-    bot.chat(`❌ ${playerName}, команда для ${cmdInfo.requiredRank}+!`);
-    db.addLog(playerName, command, false, 'НЕ ДОСТАТОЧНО ПРАВ');
-    return;
+class ChatBridge {
+  constructor(options, settings) {
+    this.chatId = options.chatId;
+    this.topicId = options.topicId;
+    this.settings = settings;
+    this.batch = [];
+    this.dropped = 0;
+    this.flushTimer = null;
+    this.lastRelay = new Map();
   }
 
-  // ПРОВЕРКА 5: Кулдаун?
-  if (db.isOnCooldown(playerName)) {
-    const timeLeft = Math.ceil(db.getCooldownTimeLeft(playerName) / 1000);
-    const minutes = Math.floor(timeLeft / 60);
-    const seconds = timeLeft % 60;
-    bot.chat(`⏱️ ${playerName}, подождите ${minutes}м ${seconds}с!`);
-    return;
+  get enabled() {
+    return !!this.chatId;
   }
 
-  // ✅ ВЫПОЛНЯЕМ КОМАНДУ
-  logInfo(`✅ КОМАНДА: ${playerName} → !${command}`);
-  executeCommand(playerName, command, args, donator.rank);
+  isBridgeChat(ctx) {
+    if (!this.enabled || ctx.chat?.id !== this.chatId) return false;
+    return !this.topicId || ctx.message?.message_thread_id === this.topicId;
+  }
 
-  db.setCooldown(playerName, cmdInfo.cooldown);
-  db.data.stats.totalCommands++;
-  db.addLog(playerName, command, true, 'OK');
-  db.save();
-}
+  // ---------- Minecraft → Telegram ----------
 
-// ======================== ВЫПОЛНЕНИЕ КОМАНД (500+ СТРОК) ========================
-function executeCommand(playerName, command, args, rank) {
-  const isAdmin = rank === 'ADMIN';
+  // @ник из игры → @ник в Telegram
+  mentionsToTelegram(text) {
+    return text.replace(/@(\w{3,16})/g, (mention, name) => {
+      const tgName = Object.entries(this.settings.mentions)
+        .find(([mcName]) => mcName.toLowerCase() === name.toLowerCase())?.[1];
+      return tgName ? `@${tgName}` : mention;
+    });
+  }
 
-  switch (command) {
-    // ======================== ОБЫЧНЫЕ КОМАНДЫ ========================
-    case 'give':
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !give [предмет] [кол-во]`);
-        return;
-      }
-      const [item, amount = 1] = args.split(' ');
-      bot.chat(`/give ${playerName} ${item} ${amount}`);
-      bot.chat(`✅ ${playerName}, выдано: ${item}x${amount}`);
-      break;
-
-    case 'heal':
-      bot.chat(`/effect give ${playerName} minecraft:instant_health 1 10`);
-      bot.chat(`💚 ${playerName}, ты исцелен!`);
-      break;
-
-    case 'tpall':
-      bot.chat(`/execute as @a at ${playerName} run teleport @s ~ ~ ~`);
-      bot.chat(`🌍 ${playerName}, все телепортированы!`);
-      break;
-
-    case 'gamemode':
-      const mode = args || 'creative';
-      bot.chat(`/gamemode ${mode} ${playerName}`);
-      bot.chat(`🎮 ${playerName}, режим: ${mode}`);
-      break;
-
-    case 'effect':
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !effect [эффект] [уровень]`);
-        return;
-      }
-      const [effect, level = 1] = args.split(' ');
-      bot.chat(`/effect give ${playerName} ${effect} 300 ${level}`);
-      bot.chat(`✨ ${playerName}, применен эффект!`);
-      break;
-
-    case 'fly':
-      bot.chat(`/ability ${playerName} mayfly true`);
-      bot.chat(`🪁 ${playerName}, полёт разрешен!`);
-      break;
-
-    case 'speed':
-      const speedLevel = args || '2';
-      bot.chat(`/effect give ${playerName} minecraft:speed 300 ${speedLevel}`);
-      bot.chat(`⚡ ${playerName}, скорость повышена!`);
-      break;
-
-    case 'strength':
-      const strengthLevel = args || '1';
-      bot.chat(`/effect give ${playerName} minecraft:strength 300 ${strengthLevel}`);
-      bot.chat(`💪 ${playerName}, сила повышена!`);
-      break;
-
-    case 'jump':
-      const jumpLevel = args || '5';
-      bot.chat(`/effect give ${playerName} minecraft:jump_boost 300 ${jumpLevel}`);
-      bot.chat(`⬆️ ${playerName}, прыжок повышен!`);
-      break;
-
-    case 'invisibility':
-      bot.chat(`/effect give ${playerName} minecraft:invisibility 300 1`);
-      bot.chat(`👻 ${playerName}, теперь невидим!`);
-      break;
-
-    case 'nightvision':
-      bot.chat(`/effect give ${playerName} minecraft:night_vision 300 1`);
-      bot.chat(`👁️ ${playerName}, ночное зрение включено!`);
-      break;
-
-    case 'resistance':
-      const resistanceLevel = args || '5';
-      bot.chat(`/effect give ${playerName} minecraft:resistance 300 ${resistanceLevel}`);
-      bot.chat(`🛡️ ${playerName}, защита включена!`);
-      break;
-
-    case 'absorption':
-      const absorptionLevel = args || '5';
-      bot.chat(`/effect give ${playerName} minecraft:absorption 300 ${absorptionLevel}`);
-      bot.chat(`❤️ ${playerName}, получены доп. сердца!`);
-      break;
-
-    case 'haste':
-      const hasteLevel = args || '2';
-      bot.chat(`/effect give ${playerName} minecraft:haste 300 ${hasteLevel}`);
-      bot.chat(`⚙️ ${playerName}, спешка включена!`);
-      break;
-
-    case 'saturation':
-      bot.chat(`/effect give ${playerName} minecraft:saturation 1 10`);
-      bot.chat(`🍗 ${playerName}, ты сыт!`);
-      break;
-
-    case 'water_breathing':
-      bot.chat(`/effect give ${playerName} minecraft:water_breathing 300 1`);
-      bot.chat(`🌊 ${playerName}, можешь дышать под водой!`);
-      break;
-
-    case 'fire_resistance':
-      bot.chat(`/effect give ${playerName} minecraft:fire_resistance 300 1`);
-      bot.chat(`🔥 ${playerName}, огнеустойчив!`);
-      break;
-
-    // ======================== АДМИН КОМАНДЫ ========================
-    case 'say':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
-      }
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !say [сообщение]`);
-        return;
-      }
-      bot.chat(args);
-      break;
+  fromGame(event, { player = '', text = '' }) {
+    const { events, ignore } = this.settings.toTelegram;
+    if (!this.enabled || !events.includes(event)) return;
 
-    case 'broadcast':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
-      }
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !broadcast [сообщение]`);
-        return;
-      }
-      bot.chat(`§c§l[ОБЪЯВЛЕНИЕ]§r §6${args}`);
-      logInfo(`📢 Объявление: ${args}`);
-      break;
+    const clean = stripFormatting(text);
+    if (event === 'chat' && ignore.some(pattern => pattern.test(clean))) return;
 
-    case 'clear':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
-      }
-      bot.chat(`/clear ${playerName}`);
-      bot.chat(`🧹 ${playerName} очистил свой инвентарь!`);
-      break;
+    const name = `<b>${escapeHtml(player)}</b>`;
+    const lines = {
+      chat: () => `💬 ${name}: ${escapeHtml(this.mentionsToTelegram(clean))}`,
+      join: () => `➕ ${name} зашёл`,
+      leave: () => `➖ ${name} вышел`,
+      death: () => `💀 ${escapeHtml(clean)}`,
+      advancement: () => `🏆 ${escapeHtml(clean)}`
+    };
+    this.queue(lines[event]());
+  }
 
-    case 'weather':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
-      }
-      const weather = args || 'clear';
-      bot.chat(`/weather ${weather}`);
-      bot.chat(`⛅ Погода изменена на ${weather}!`);
-      break;
-
-    case 'time':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
-      }
-      const time = args || '12000';
-      bot.chat(`/time set ${time}`);
-      bot.chat(`⏰ Время установлено!`);
-      break;
-
-    case 'kill':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
-      }
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !kill [игрок]`);
-        return;
-      }
-      bot.chat(`/kill ${args}`);
-      bot.chat(`⚔️ ${args} был убит!`);
-      break;
+  queue(line) {
+    const { maxBatchLines, flushMs } = this.settings.antiSpam;
+    if (this.batch.length >= maxBatchLines) {
+      this.dropped++;
+    } else {
+      this.batch.push(line);
+    }
+    if (!this.flushTimer) this.flushTimer = setTimeout(() => this.flush(), flushMs);
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.batch.length === 0) return Promise.resolve();
+
+    const lines = this.batch;
+    if (this.dropped) lines.push(`<i>…и ещё ${this.dropped} сообщ. пропущено</i>`);
+    this.batch = [];
+    this.dropped = 0;
+
+    return tgBot.telegram.sendMessage(this.chatId, lines.join('\n'), {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      ...(this.topicId && { message_thread_id: this.topicId })
+    }).catch(err => tgLog.error(`Мост: ошибка отправки: ${err.message}`));
+  }
+
+  // ---------- Telegram → Minecraft ----------
+
+  // @ник в Telegram → ник в игре
+  mentionsToGame(text) {
+    return text.replace(/@(\w{5,32})/g, (mention, tgName) => {
+      const mcName = Object.entries(this.settings.mentions)
+        .find(([, name]) => name.toLowerCase() === tgName.toLowerCase())?.[0];
+      return mcName || mention;
+    });
+  }
+
+  senderName(from) {
+    const mcName = from.username && this.mentionsToGame(`@${from.username}`);
+    if (mcName && !mcName.startsWith('@')) return mcName;
+    return from.username || from.first_name || String(from.id);
+  }
+
+  // → причина отказа или null, если сообщение ушло в игру
+  fromTelegram(ctx) {
+    const { enabled, ignore, maxLength } = this.settings.toGame;
+    if (!enabled) return 'выключено';
+
+    const text = ctx.message.text;
+    if (ignore.some(pattern => pattern.test(text))) return 'фильтр';
+
+    const now = Date.now();
+    const userId = ctx.from.id;
+    if (now - (this.lastRelay.get(userId) || 0) < this.settings.antiSpam.userCooldownMs) return 'антиспам';
+    this.lastRelay.set(userId, now);
+
+    // Без переносов, кодов форматирования и управляющих символов; префикс
+    // [TG] гарантирует, что сообщение не станет командой бота
+    const clean = stripFormatting(this.mentionsToGame(text))
+      .replace(/[\u0000-\u001f\u007f]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+    if (!clean) return 'пусто';
+
+    chatQueue.send(`[TG] ${stripFormatting(this.senderName(ctx.from))}: ${clean}`, { whenOffline: 'drop' });
+    return null;
+  }
+}
+
+const chatBridge = new ChatBridge(config.bridge, loadBridgeSettings());
+
+// Регистрируется до выдачи рангов: текст из группы моста - это чат, а не ник
+tgBot.on('text', (ctx, next) => {
+  if (!chatBridge.isBridgeChat(ctx) || ctx.message.text.startsWith('/')) return next();
+
+  const refused = chatBridge.fromTelegram(ctx);
+  if (refused) tgLog.debug(`Мост: сообщение от ${ctx.from.id} не отправлено (${refused})`);
+});
+
+// ======================== ПОДКЛЮЧЕНИЕ К СЕРВЕРУ ========================
+// Состояния и правила переподключения - в lib/connection.js
+const CONNECTION_MESSAGES = {
+  online: () => '✅ <b>БОТ ПОДКЛЮЧЕН</b>\n🔒 Система активна!\n🎮 Версия: v5.0',
+  offline: () => '🔴 <b>Сервер оффлайн</b>, бот ждёт запуска',
+  backoff: (reason) => `🔄 <b>Соединение потеряно</b>\n${escapeHtml(reason || '')}`,
+  'gave-up': (reason) => `⛔ <b>Переподключение остановлено</b>\n${escapeHtml(reason || '')}\n/reconnect - подключиться снова`
+};
+
+const connection = new ConnectionSupervisor(config.connection, {
+  createBot: createMCBot,
+  server: serverChecker,
+  log: mcLog,
+  notify: (state, reason) => {
+    tgBot.telegram.sendMessage(config.tg.adminId, CONNECTION_MESSAGES[state](reason), { parse_mode: 'HTML' })
+      .catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+  },
+  onBackoff: (cause) => metrics.inc('reconnects_total', { cause })
+});
 
-    case 'tp':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
+// ======================== MC БОТ ========================
+const BRIDGE_JOIN_GRACE = 5000;
+let spawnedAt = 0;
+
+// Создаёт бота и вешает обработчики; вызывает только ConnectionSupervisor
+function createMCBot() {
+  mcLog.info('🔌 Подключение к MC серверу...');
+
+  bot = mineflayer.createBot({
+    host: config.mc.host,
+    port: config.mc.port,
+    username: config.mc.username,
+    version: config.mc.version || serverChecker.status?.minecraftVersion || false,
+    auth: 'offline',
+    hideErrors: false
+  });
+  const instance = bot;
+
+  bot.on('spawn', () => {
+    mcLog.info('🎮 БОТ НА СЕРВЕРЕ!');
+    spawnedAt = Date.now();
+    connection.onSpawn();
+    chatQueue.resume();
+
+    setTimeout(() => {
+      chatQueue.send('🤖 VoyagersSpace v5.0 активирована!', { priority: 'cosmetic' });
+      flushPendingLuckPerms();
+    }, 2000);
+
+    // К этому времени список игроков при входе уже пришёл
+    setTimeout(() => {
+      if (bot !== instance) return;
+      db.reconcileSessions(new Set(Object.keys(instance.players)));
+    }, BRIDGE_JOIN_GRACE);
+  });
+
+  bot.on('playerJoined', (player) => {
+    if (player.username === bot.username) return;
+
+    // После переподключения сервер заново присылает всех, кто онлайн:
+    // открытая с прошлого соединения сессия продолжается, это не новый заход
+    const resumed = db.hasOpenSession(player.username);
+    db.startSession(player.username);
+    db.updatePeakPlayers(Object.keys(bot.players).filter(name => name !== bot.username).length);
+    if (resumed) return;
+
+    mcLog.info(`👤 ${player.username} присоединился`);
+    // Список игроков при входе бота - не новые заходы
+    if (bot.entity && Date.now() - spawnedAt > BRIDGE_JOIN_GRACE) {
+      chatBridge.fromGame('join', { player: player.username });
+    }
+    const isAdmin = db.isGameAdmin(player.username);
+    const donator = db.getDonator(player.username);
+    
+    let greeting = `👋 Добро пожаловать, ${player.username}!`;
+    if (isAdmin) {
+      greeting += ' 👑 ВЛАДЕЛЕЦ';
+    } else if (donator) {
+      greeting += ` (${donator.rank})`;
+    }
+
+    chatQueue.send(greeting, { priority: 'cosmetic' });
+
+    const warnBefore = config.donators.expiryWarningDays * DURATION_UNITS.d;
+    if (donator?.expiresAt && donator.expiresAt - Date.now() < warnBefore) {
+      const daysLeft = Math.max(1, Math.ceil((donator.expiresAt - Date.now()) / DURATION_UNITS.d));
+      chatQueue.send(`⏳ ${player.username}, ранг ${donator.rank} истекает через ${daysLeft} дн. (${formatExpiry(donator.expiresAt)})`);
+    }
+
+    tgBot.telegram.sendMessage(
+      config.tg.adminId,
+      `🚀 ${isAdmin ? '👑' : '🎮'} <b>${player.username}</b> присоединился`,
+      { parse_mode: 'HTML' }
+    ).catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+
+    reconcileDonator(player.username)
+      .catch(err => mcLog.error(`Ошибка сверки LuckPerms: ${err.message}`));
+  });
+
+  bot.on('playerLeft', (player) => {
+    if (player.username === bot.username) return;
+
+    mcLog.info(`👋 ${player.username} вышел`);
+    db.endSession(player.username);
+    adminVerifier.revoke(player.username);
+    chatBridge.fromGame('leave', { player: player.username });
+  });
+
+  bot.on('message', (jsonMsg, position, senderUuid) => {
+    try {
+      const message = jsonMsg.toString();
+      mcLog.debug(`Чат: ${message}`);
+
+      // Вывод LuckPerms сразу уходит в захват и как чат не разбирается:
+      // строки вроде "[LP]     Meta: None" похожи на сообщения игроков
+      if (!senderUuid && message.startsWith(config.luckPerms.prefix)) {
+        chatCaptures.forEach(capture => capture(message));
         return;
       }
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !tp [игрок]`);
-        return;
+
+      // Своё эхо (/say объявлений) не разбирается: текст в нём задаёт API
+      if (senderUuid && senderUuid === bot.player?.uuid) return;
+
+      const parsed = parseChatLine(message, chatFormats);
+
+      if (!parsed && !senderUuid) {
+        // ========== ЗАХВАТ ВЫВОДА КОМАНД ==========
+        // Сообщения игроков не должны попадать в вывод команд сервера
+        chatCaptures.forEach(capture => capture(message));
+
+        // ========== СМЕРТИ И ДОСТИЖЕНИЯ ==========
+        const translateKey = jsonMsg.translate || '';
+        if (translateKey.startsWith('death.')) chatBridge.fromGame('death', { text: message });
+        if (translateKey.startsWith('chat.type.advancement.')) chatBridge.fromGame('advancement', { text: message });
       }
-      bot.chat(`/tp ${args}`);
-      bot.chat(`🚀 Телепортировано!`);
-      break;
+      if (!parsed) return;
 
-    case 'teleport':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
+      const playerName = resolveChatSender(parsed, senderUuid);
+      const isOwnMessage = playerName === bot.username;
+
+      // ========== МОСТ В TELEGRAM ==========
+      if (playerName && !isOwnMessage && !parsed.whisper) {
+        chatBridge.fromGame('chat', { player: playerName, text: parsed.message });
       }
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !teleport [x] [y] [z]`);
+
+      // ========== ПАРСИНГ КОМАНД ИГРОКОВ ==========
+      const playerCommand = parsePlayerCommand(parsed.message);
+      if (!playerCommand) return;
+
+      if (!playerName || isOwnMessage) {
+        mcLog.security(`🚫 Команда !${playerCommand.command} от неподтверждённого отправителя: ${message}`);
         return;
       }
-      const coords = args.split(' ');
-      bot.chat(`/teleport ${playerName} ${coords[0]} ${coords[1]} ${coords[2]}`);
-      bot.chat(`📍 ${playerName}, телепортировано на координаты!`);
-      break;
-
-    case 'summon':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
+
+      mcLog.debug(`${parsed.whisper ? 'ЛС' : 'Чат'}: ${playerName} → !${playerCommand.command}`);
+      handlePlayerCommand(playerName, playerCommand.command, playerCommand.args)
+        .catch(err => mcLog.error(`Ошибка команды !${playerCommand.command}: ${err.message}`));
+
+    } catch (error) {
+      mcLog.error(`Ошибка сообщения: ${error.message}`);
+    }
+  });
+
+  bot.on('error', (err) => {
+    mcLog.error(`MC ошибка: ${err.message}`);
+  });
+
+  bot.on('kicked', (reason) => {
+    connection.onKicked(reason);
+  });
+
+  bot.on('end', (reason) => {
+    mcLog.warn(`❌ Соединение разорвано: ${reason}`);
+    adminVerifier.revokeAll();
+    // Сессии остаются открытыми до сверки после переподключения, lastSeen - время разрыва
+    db.touchSessions();
+    chatQueue.pause();
+    if (bot === instance) bot = null;
+    connection.onEnd(instance, reason);
+  });
+
+  return instance;
+}
+
+// ======================== ОБРАБОТКА КОМАНД ========================
+// Неизвестные команды сводятся к одной метке: иначе любой текст из чата
+// становится новым рядом в Prometheus
+const commandLabel = (command) =>
+  (commandsManager.isCommandAllowed(command) ||
+    commandsManager.isCommandBanned(command) ||
+    commandsManager.getAdminCommandInfo(command))
+    ? command
+    : 'unknown';
+
+const countDenied = (command, reason) =>
+  metrics.inc('commands_denied_total', { command: commandLabel(command), reason });
+
+const VERIFY_MESSAGES = {
+  no_code: 'кода нет, сначала выполни админ-команду',
+  expired: 'код истёк, запроси новый',
+  wrong: 'неверный код',
+  locked: 'слишком много попыток, запроси новый код'
+};
+
+function handleVerify(playerName, code) {
+  if (!db.isGameAdmin(playerName)) {
+    chatQueue.send(`❌ ${playerName}, неизвестная команда !verify`);
+    return;
+  }
+
+  const result = adminVerifier.verify(playerName, code);
+  if (result === 'ok') {
+    chatQueue.send(`🔓 ${playerName}, верификация пройдена!`);
+    mcLog.security(`🔓 ${playerName} верифицирован как админ`);
+    db.addLog(playerName, 'verify', true, 'ВЕРИФИКАЦИЯ OK');
+    return;
+  }
+
+  chatQueue.send(`❌ ${playerName}, ${VERIFY_MESSAGES[result]}!`);
+  mcLog.security(`🚫 ${playerName} не прошёл верификацию: ${result}`);
+  db.addLog(playerName, 'verify', false, `НЕВЕРНЫЙ КОД (${result})`);
+}
+
+function requestVerification(playerName, command) {
+  db.addLog(playerName, command, false, 'НЕ ВЕРИФИЦИРОВАН');
+  countDenied(command, 'НЕ ВЕРИФИЦИРОВАН');
+
+  const tgId = db.getGameAdminTgId(playerName);
+  if (!tgId) {
+    chatQueue.send(`🔐 ${playerName}, ник не привязан к Telegram - обратись к владельцу`);
+    mcLog.security(`🔐 ${playerName} без привязки к Telegram пытается выполнить !${command}`);
+    return;
+  }
+
+  const code = adminVerifier.issueCode(playerName);
+  if (!code) {
+    chatQueue.send(`🔐 ${playerName}, введи код из Telegram: !verify [код]`);
+    return;
+  }
+
+  chatQueue.send(`🔐 ${playerName}, код отправлен в Telegram. Введи: !verify [код]`);
+  mcLog.security(`🔐 Код верификации выпущен для ${playerName} (!${command})`);
+
+  tgBot.telegram.sendMessage(
+    tgId,
+    `🔐 <b>Верификация админа</b>\n` +
+    `${playerName} пытается выполнить !${command}\n` +
+    `Код: <code>${code}</code> (${Math.round(config.verification.codeTtl / 60000)} мин)\n\n` +
+    `Если это не вы - не передавайте код!`,
+    { parse_mode: 'HTML' }
+  ).catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+}
+
+async function handlePlayerCommand(playerName, command, args) {
+  if (command === 'verify') {
+    handleVerify(playerName, args);
+    return;
+  }
+
+  if (INFO_COMMANDS[command]) {
+    handleInfoCommand(playerName, command, args);
+    return;
+  }
+
+  // ✅ АДМИНЫ МОГУТ ВСЕ (после верификации через Telegram)
+  if (db.isGameAdmin(playerName)) {
+    if (!adminVerifier.isVerified(playerName)) {
+      requestVerification(playerName, command);
+      return;
+    }
+    mcLog.info(`👑 АДМИН: ${playerName} → !${command}`);
+    const result = await executeCommand(playerName, command, args, 'ADMIN');
+    if (result.ok) db.addLog(playerName, command, true, 'OK');
+    return;
+  }
+
+  // ПРОВЕРКА 1: Донатер ли?
+  const donator = db.getDonator(playerName);
+  
+  if (!donator) {
+    chatQueue.send(`❌ ${playerName}, команды только для донатов!`);
+    mcLog.warn(`${playerName} без доната`);
+    db.addLog(playerName, command, false, 'НЕ ДОНАТЕР');
+    countDenied(command, 'НЕ ДОНАТЕР');
+    return;
+  }
+
+  // ПРОВЕРКА 2: В чёрном списке?
+  if (commandsManager.isCommandBanned(command)) {
+    const banInfo = commandsManager.getBannedCommandInfo(command);
+    chatQueue.send(`🔒 ${playerName}, команда !${command} ЗАПРЕЩЕНА!`);
+    mcLog.security(`⛔ ${playerName} попытался !${command}`);
+    db.addLog(playerName, command, false, 'ЗАПРЕЩЕНА');
+    countDenied(command, 'ЗАПРЕЩЕНА');
+    db.data.stats.blockedAttempts++;
+    db.save();
+    return;
+  }
+
+  // ПРОВЕРКА 3: Разрешена ли?
+  if (!commandsManager.isCommandAllowed(command)) {
+    chatQueue.send(`❌ ${playerName}, неизвестная команда !${command}`);
+    db.addLog(playerName, command, false, 'НЕИЗВЕСТНА');
+    countDenied(command, 'НЕИЗВЕСТНА');
+    return;
+  }
+
+  const cmdInfo = commandsManager.getCommandInfo(command);
+
+  // ПРОВЕРКА 4: Команда есть в правах ранга (с наследованием)?
+  if (!commandsManager.canRankUseCommand(donator.rank, command)) {
+    chatQueue.send(`❌ ${playerName}, команда для ${cmdInfo.requiredRank}+!`);
+    db.addLog(playerName, command, false, 'НЕ ДОСТАТОЧНО ПРАВ');
+    countDenied(command, 'НЕ ДОСТАТОЧНО ПРАВ');
+    return;
+  }
+
+  // ПРОВЕРКА 5: Кулдаун этой команды?
+  if (db.isOnCooldown(playerName, command)) {
+    const timeLeft = formatTimeLeft(db.getCooldownTimeLeft(playerName, command));
+    chatQueue.send(`⏱️ ${playerName}, !${command} на перезарядке, подождите ${timeLeft}!`);
+    countDenied(command, 'КУЛДАУН');
+    return;
+  }
+
+  // ✅ ВЫПОЛНЯЕМ КОМАНДУ
+  // Кулдаун ставится до ответа сервера, чтобы повтор не прошёл во время
+  // ожидания, и возвращается, если команда не выполнилась.
+  mcLog.info(`✅ КОМАНДА: ${playerName} → !${command}`);
+  db.setCooldown(playerName, command, commandsManager.getCooldown(donator.rank, command));
+
+  const result = await executeCommand(playerName, command, args, donator.rank);
+  if (!result.ok) {
+    db.clearCooldown(playerName, command);
+    return;
+  }
+
+  db.data.stats.totalCommands++;
+  db.addLog(playerName, command, true, 'OK');
+  db.save();
+}
+
+// ======================== СПРАВКА ДЛЯ ИГРОКОВ ========================
+// !help, !rank, !cooldowns отвечают в личку, чтобы не засорять общий чат.
+// Список команд строится из commands.json (description, syntax, requiredRank).
+
+// !playtime [ник] - доступна всем игрокам
+function handlePlaytime(playerName, args) {
+  const now = Date.now();
+  const target = args.split(/\s+/)[0] || playerName;
+  if (!PLAYER_NAME.test(target)) {
+    chatQueue.send(`❌ ${playerName}, неверный ник`);
+    return;
+  }
+
+  const player = db.getPlayer(target, now);
+  chatQueue.send(player
+    ? `⏱️ ${player.username}: наиграно ${formatDuration(player.playtime)}, ` +
+      `впервые ${new Date(player.firstSeen).toLocaleDateString('ru-RU')}`
+    : `❓ ${target} ещё не заходил`);
+}
+
+const listCommands = (names) => names.map(name => `!${name}`).join(' ');
+
+const enabledCommands = (names) => [...names].filter(name => commandsManager.isCommandAllowed(name)).sort();
+
+const ranksByLevel = () => Object.keys(commandsManager.config.ranks)
+  .sort((a, b) => commandsManager.getRankLevel(a) - commandsManager.getRankLevel(b));
+
+// !help [команда]: донатеру - его команды, остальным - что открывает каждый ранг
+function handleHelp(playerName, args) {
+  const isAdmin = db.isGameAdmin(playerName);
+  const rank = isAdmin ? 'ADMIN' : db.getDonator(playerName)?.rank;
+  const command = args.split(/\s+/)[0].replace(/^!/, '').toLowerCase();
+
+  if (command) {
+    const cmdInfo = (isAdmin && commandsManager.getAdminCommandInfo(command)) ||
+      (commandsManager.isCommandAllowed(command) && commandsManager.getCommandInfo(command));
+    if (!cmdInfo) {
+      chatQueue.whisper(playerName, `❌ Нет команды !${command}. Список: !help`);
+      return;
+    }
+
+    const cooldown = isAdmin ? 0 : commandsManager.getCooldown(rank, command);
+    let access = `нужен ${cmdInfo.requiredRank}+`;
+    if (isAdmin || (rank && commandsManager.canRankUseCommand(rank, command))) {
+      access = cooldown > 0 ? `доступна, перезарядка ${formatTimeLeft(cooldown)}` : 'доступна';
+    }
+    chatQueue.whisper(playerName, [
+      `📖 ${cmdInfo.syntax || `!${command}`} - ${cmdInfo.description || 'без описания'}`,
+      `🔑 ${access}`
+    ]);
+    return;
+  }
+
+  const common = '!help [команда], !rank, !cooldowns, !playtime';
+
+  if (isAdmin) {
+    chatQueue.whisper(playerName, [
+      `📖 Команды: ${listCommands(enabledCommands(Object.keys(commandsManager.getAllowedCommands())))}`,
+      `👑 Админ: ${listCommands(Object.keys(commandsManager.getAdminCommands())
+        .filter(name => commandsManager.getAdminCommandInfo(name)).sort())}`,
+      `ℹ️ ${common}`
+    ]);
+    return;
+  }
+
+  if (rank) {
+    const commands = enabledCommands(commandsManager.getRankPermissions(rank));
+    chatQueue.whisper(playerName, [
+      `📖 Команды ${rank}: ${listCommands(commands) || 'нет'}`,
+      `ℹ️ ${common}`
+    ]);
+    return;
+  }
+
+  // Для каждого ранга - только то, что он добавляет к унаследованным
+  chatQueue.whisper(playerName, [
+    '💎 Команды открываются донатом:',
+    ...ranksByLevel().map(name => {
+      const own = enabledCommands(commandsManager.config.ranks[name].permissions || []);
+      return `${name}: ${listCommands(own) || '-'}`;
+    }),
+    `ℹ️ ${common}`
+  ]);
+}
+
+function handleRank(playerName) {
+  if (db.isGameAdmin(playerName)) {
+    chatQueue.whisper(playerName, '👑 Ты админ сервера, доступны все команды');
+    return;
+  }
+
+  const donator = db.getDonator(playerName);
+  if (!donator) {
+    chatQueue.whisper(playerName, `❌ Доната нет. Ранги: ${ranksByLevel().join(', ')}. Что они дают: !help`);
+    return;
+  }
+
+  const left = donator.expiresAt ? `, осталось ${formatDuration(donator.expiresAt - Date.now())}` : '';
+  chatQueue.whisper(playerName, `👑 Ранг ${donator.rank} ${formatExpiry(donator.expiresAt)}${left}`);
+}
+
+function handleCooldowns(playerName) {
+  const cooldowns = db.getCooldowns(playerName);
+  chatQueue.whisper(playerName, cooldowns.length > 0
+    ? `⏱️ Перезарядка: ${cooldowns.map(({ command, timeLeft }) => `!${command} ${formatTimeLeft(timeLeft)}`).join(', ')}`
+    : '✅ Все команды готовы');
+}
+
+// Справочные команды доступны всем игрокам; каждая - не чаще раза в
+// infoCooldown на игрока, независимо от аргументов
+const INFO_COMMANDS = {
+  playtime: handlePlaytime,
+  help: handleHelp,
+  rank: handleRank,
+  cooldowns: handleCooldowns
+};
+const infoRequests = new Map();
+
+function handleInfoCommand(playerName, command, args) {
+  const now = Date.now();
+  for (const [key, requestedAt] of infoRequests) {
+    if (now - requestedAt >= config.players.infoCooldown) infoRequests.delete(key);
+  }
+
+  const key = `${playerName}:${command}`;
+  if (infoRequests.has(key)) return;
+  infoRequests.set(key, now);
+
+  INFO_COMMANDS[command](playerName, args);
+}
+
+// ======================== ВАЛИДАЦИЯ АРГУМЕНТОВ ========================
+// Аргументы команд описываются в commands.json:
+// { name, type, required, default, min, max, values }.
+// Тип text забирает весь остаток строки, остальные типы - по одному слову.
+// Реестр берётся под MC_VERSION, без неё - под версию из Server List Ping;
+// до первого ответа сервера - под DEFAULT_REGISTRY_VERSION.
+const DEFAULT_REGISTRY_VERSION = '1.20.1';
+const toSnakeCase = (name) => name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+
+const registryNames = { item: new Set(), effect: new Set(), entity: new Set() };
+let registryVersion = null;
+
+function loadRegistry(version) {
+  if (version === registryVersion) return;
+  registryVersion = version;
+
+  const registry = minecraftData(version);
+  if (!registry) {
+    mcLog.warn(`Нет данных реестра для версии ${version}, предметы и эффекты будут отклоняться`);
+  } else {
+    mcLog.info(`📦 Реестр предметов: ${version}`);
+  }
+
+  registryNames.item = new Set(registry ? Object.keys(registry.itemsByName) : []);
+  registryNames.effect = new Set(registry ? Object.keys(registry.effectsByName).map(toSnakeCase) : []);
+  registryNames.entity = new Set(registry ? Object.keys(registry.entitiesByName) : []);
+}
+
+loadRegistry(config.mc.version || DEFAULT_REGISTRY_VERSION);
+
+const GAMEMODES = ['survival', 'creative', 'adventure', 'spectator'];
+const SAFE_TOKEN = /^[A-Za-z0-9_:.-]+$/;
+const PLAYER_NAME = /^[A-Za-z0-9_]{3,16}$/;
+const COORD = /^(~|\^)?-?\d+(\.\d+)?$|^[~^]$/;
+
+const reject = (reason, detail) => ({ reason, error: `${reason} (${detail})` });
+
+const registryArg = (type, reason) => (raw) => {
+  const id = raw.toLowerCase().replace(/^minecraft:/, '');
+  return registryNames[type].has(id) ? { value: `minecraft:${id}` } : reject(reason, raw);
+};
+
+const ARG_TYPES = {
+  string: (raw) => (SAFE_TOKEN.test(raw) ? { value: raw } : reject('НЕДОПУСТИМЫЕ СИМВОЛЫ', raw)),
+  text: (raw) => (raw.startsWith('/') ? reject('НЕДОПУСТИМЫЕ СИМВОЛЫ', raw) : { value: raw }),
+  int: (raw, spec) => {
+    const value = Number(raw);
+    if (!/^-?\d+$/.test(raw) || !Number.isSafeInteger(value)) {
+      return reject('НЕ ЧИСЛО', `${spec.name}=${raw}`);
+    }
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      return reject('ВНЕ ДИАПАЗОНА', `${spec.name}=${value}, допустимо ${spec.min ?? '-∞'}..${spec.max ?? '∞'}`);
+    }
+    return { value };
+  },
+  coord: (raw) => (COORD.test(raw) ? { value: raw } : reject('НЕВЕРНЫЕ КООРДИНАТЫ', raw)),
+  item: registryArg('item', 'НЕИЗВЕСТНЫЙ ПРЕДМЕТ'),
+  effect: registryArg('effect', 'НЕИЗВЕСТНЫЙ ЭФФЕКТ'),
+  entity: registryArg('entity', 'НЕИЗВЕСТНАЯ СУЩНОСТЬ'),
+  gamemode: (raw) => {
+    const mode = raw.toLowerCase();
+    return GAMEMODES.includes(mode) ? { value: mode } : reject('НЕДОПУСТИМЫЙ РЕЖИМ', raw);
+  },
+  player: (raw) => (PLAYER_NAME.test(raw) ? { value: raw } : reject('НЕВЕРНЫЙ НИК', raw))
+};
+
+function parseCommandArgs(cmdInfo, args) {
+  const specs = cmdInfo.args || [];
+  const tokens = args ? args.split(/\s+/) : [];
+  const values = {};
+
+  const takesRest = specs.at(-1)?.type === 'text';
+  if (!takesRest && tokens.length > specs.length) {
+    return reject('ЛИШНИЕ АРГУМЕНТЫ', tokens.slice(specs.length).join(' '));
+  }
+
+  for (const [index, spec] of specs.entries()) {
+    const raw = spec.type === 'text'
+      ? tokens.slice(index).join(' ')
+      : tokens[index];
+
+    if (raw === undefined || raw === '') {
+      if (spec.required) return reject('НЕ ХВАТАЕТ АРГУМЕНТОВ', spec.name);
+      values[spec.name] = spec.default;
+      continue;
+    }
+
+    if (spec.type !== 'text' && raw.includes('@')) {
+      return reject('СЕЛЕКТОР', raw);
+    }
+
+    const validate = ARG_TYPES[spec.type] || ARG_TYPES.string;
+    const result = validate(raw, spec);
+    if (result.error) return result;
+
+    if (spec.values && !spec.values.includes(result.value)) {
+      return reject('НЕДОПУСТИМОЕ ЗНАЧЕНИЕ', `${spec.name}=${raw}`);
+    }
+    values[spec.name] = result.value;
+  }
+
+  return { values };
+}
+
+// ======================== ВЫПОЛНЕНИЕ КОМАНД ========================
+function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    vars[key] !== undefined ? String(vars[key]) : match
+  );
+}
+
+// → { ok, reason }. Команды с шаблонами success в commands.json считаются
+// выполненными только после подтверждения сервера в чате. quiet - без ответов
+// в чат (планировщик), actor - кто инициировал команду для журнала.
+async function executeCommand(playerName, command, args, rank, { quiet = false, actor } = {}) {
+  const reply = quiet ? () => {} : (text) => chatQueue.send(text);
+  const isAdmin = rank === 'ADMIN';
+  const cmdInfo = (isAdmin && commandsManager.getAdminCommandInfo(command)) ||
+    commandsManager.getCommandInfo(command);
+
+  if (!cmdInfo || !cmdInfo.template) {
+    reply(`❌ ${playerName}, неизвестная команда !${command}`);
+    db.addLog(playerName, command, false, 'НЕИЗВЕСТНА', actor);
+    countDenied(command, 'НЕИЗВЕСТНА');
+    return { ok: false, reason: 'НЕИЗВЕСТНА' };
+  }
+
+  const parsed = parseCommandArgs(cmdInfo, args);
+  if (parsed.error) {
+    reply(`❌ ${playerName}, ${parsed.reason.toLowerCase()}! Используй: ${cmdInfo.syntax}`);
+    mcLog.security(`🚫 !${command} от ${playerName} отклонена: ${parsed.error}`);
+    db.addLog(playerName, command, false, parsed.error, actor);
+    countDenied(command, parsed.reason);
+    return { ok: false, reason: parsed.error };
+  }
+
+  const vars = { ...parsed.values, player: playerName, rank };
+  const templates = Array.isArray(cmdInfo.template) ? cmdInfo.template : [cmdInfo.template];
+  const confirmation = commandsManager.getConfirmation(cmdInfo);
+
+  for (const template of templates) {
+    const text = renderTemplate(template, vars);
+    if (!confirmation || !text.startsWith('/')) {
+      chatQueue.send(text);
+      continue;
+    }
+
+    const result = await awaitCommandResult(text, confirmation);
+    if (!result.ok) {
+      const reason = result.line ? `ОТКАЗ СЕРВЕРА (${result.line})` : 'НЕТ ОТВЕТА СЕРВЕРА';
+      reply(result.line
+        ? `❌ ${playerName}, сервер отклонил !${command}: ${result.line}`
+        : `❌ ${playerName}, сервер не подтвердил !${command}, попробуй позже`);
+      mcLog.warn(`!${command} от ${playerName} не выполнена: ${reason}`);
+      db.addLog(playerName, command, false, reason, actor);
+      countDenied(command, result.line ? 'ОТКАЗ СЕРВЕРА' : 'НЕТ ОТВЕТА СЕРВЕРА');
+      return { ok: false, reason };
+    }
+  }
+
+  if (cmdInfo.response) {
+    reply(renderTemplate(cmdInfo.response, vars));
+  }
+
+  metrics.inc('commands_executed_total', { command });
+  return { ok: true };
+}
+
+// ======================== ИСТЕЧЕНИЕ ДОНАТОВ ========================
+// LuckPerms хранит группы в нижнем регистре
+const luckPermsGroup = (rank) => rank.toLowerCase();
+
+// Группа, выданная донатеру; у старых записей group нет - она совпадает с рангом
+const donatorGroup = (donator) => donator.group || luckPermsGroup(donator.rank);
+
+function runLuckPermsCommand(command) {
+  if (bot?.entity) {
+    chatQueue.send(command);
+  } else {
+    db.queueLuckPermsCommand(command);
+    mcLog.warn(`Бот оффлайн, LuckPerms отложен: ${command}`);
+  }
+}
+
+// Общая выдача ранга: LuckPerms-группа + запись донатера
+function grantRank(playerName, rank, durationMs = null, group = luckPermsGroup(rank)) {
+  runLuckPermsCommand(`/lp user ${playerName} parent set ${group}`);
+  db.addDonator(playerName, rank, durationMs, group);
+}
+
+function revokeRank(playerName) {
+  const donator = db.getDonator(playerName);
+  if (!donator || !db.removeDonator(playerName)) return false;
+
+  runLuckPermsCommand(`/lp user ${playerName} parent remove ${donatorGroup(donator)}`);
+  return true;
+}
+
+function flushPendingLuckPerms() {
+  if (!bot?.entity) return;
+
+  const commands = db.takePendingLuckPermsCommands();
+  commands.forEach(command => chatQueue.send(command));
+  if (commands.length > 0) {
+    mcLog.info(`Выполнено отложенных LuckPerms команд: ${commands.length}`);
+  }
+}
+
+function checkExpiredDonators() {
+  for (const donator of db.getExpiredDonators()) {
+    db.removeDonator(donator.username);
+    runLuckPermsCommand(`/lp user ${donator.username} parent remove ${donatorGroup(donator)}`);
+    mcLog.info(`⌛ Истёк ранг: ${donator.username} - ${donator.rank}`);
+
+    tgBot.telegram.sendMessage(
+      config.tg.adminId,
+      `⌛ <b>Ранг истёк</b>\n${donator.username} - ${donator.rank}`,
+      { parse_mode: 'HTML' }
+    ).catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+  }
+}
+
+// ======================== ЗАХВАТ ВЫВОДА КОМАНД ========================
+const chatCaptures = new Set();
+
+// Подтверждения идут строго по одному, иначе ответ сервера на одну команду
+// можно принять за ответ на соседнюю.
+let confirmationChain = Promise.resolve();
+
+// → { ok, line }: первая строка чата, совпавшая с success или failure.
+// Без ответа за timeout результат определяет onTimeout ('fail' или 'ok').
+function awaitCommandResult(command, { success, failure, timeout, onTimeout }) {
+  const run = () => new Promise((resolve) => {
+    let timer = null;
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      chatCaptures.delete(capture);
+      resolve(result);
+    };
+
+    const capture = (line) => {
+      if (failure.some(pattern => pattern.test(line))) finish({ ok: false, line });
+      else if (success.some(pattern => pattern.test(line))) finish({ ok: true, line });
+    };
+
+    chatCaptures.add(capture);
+    chatQueue.send(command, { priority: 'command', whenOffline: 'drop' }).then(sent => {
+      if (!sent) return finish({ ok: false, line: null });
+      timer = setTimeout(() => finish({ ok: onTimeout === 'ok', line: null }), timeout);
+    });
+  });
+
+  const result = confirmationChain.then(run);
+  confirmationChain = result.catch(() => {});
+  return result;
+}
+
+// ======================== LUCKPERMS ========================
+// Каждая строка вывода LuckPerms начинается с префикса ([LP] по умолчанию).
+// Ответ на запрос собирается от строки-заголовка до последней строки блока;
+// чужие сообщения между ними пропускаются. Если формат последней строки
+// поменялся, блок закрывается по паузе idleMs после последней строки [LP].
+const GROUP_ENTRY = /^-\s+([\w.-]+)/;
+const endsWithMeta = (lines) => /^meta:/i.test(lines.at(-1));
+
+class LuckPermsAdapter {
+  constructor(options) {
+    this.prefix = options.prefix;
+    this.timeout = options.timeout;
+    this.idleMs = options.idleMs;
+    this.groupsCacheTtl = options.groupsCacheTtl;
+    this.groupsCache = null;
+    this.requests = new Map();
+  }
+
+  strip(line) {
+    return line.startsWith(this.prefix) ? line.slice(this.prefix.length).trim() : null;
+  }
+
+  // end(lines) - блок закончен. → { lines, complete } или null (бот оффлайн,
+  // ошибка LuckPerms, нет ответа). complete: false - блок закрыт по паузе или
+  // таймауту, ответ мог прийти не целиком.
+  collect(command, { start, end, error }) {
+    return new Promise((resolve) => {
+      const lines = [];
+      let timer = null;
+      let idleTimer = null;
+
+      const finish = (result, complete = false) => {
+        clearTimeout(timer);
+        clearTimeout(idleTimer);
+        chatCaptures.delete(capture);
+        resolve(result && { lines: result, complete });
+      };
+
+      const capture = (raw) => {
+        const line = this.strip(raw);
+        if (line === null) return;
+
+        if (lines.length === 0) {
+          if (error?.test(line)) return finish(null);
+          if (!start.test(line)) return;
+        }
+        lines.push(line);
+        if (end(lines)) return finish(lines, true);
+
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => finish(lines), this.idleMs);
+      };
+
+      chatCaptures.add(capture);
+      chatQueue.send(command, { whenOffline: 'drop' }).then(sent => {
+        if (!sent) return finish(null);
+        timer = setTimeout(() => finish(lines.length > 0 ? lines : null), this.timeout);
+      });
+    });
+  }
+
+  // Одинаковые запросы в полёте делят один ответ
+  request(command, pattern, parse) {
+    if (!this.requests.has(command)) {
+      const request = this.collect(command, pattern)
+        .then(reply => reply && parse(reply.lines, reply.complete))
+        .finally(() => this.requests.delete(command));
+      this.requests.set(command, request);
+    }
+    return this.requests.get(command);
+  }
+
+  // Пункты "> name" в разделе "- <title>:" до следующего раздела
+  static section(lines, title) {
+    const index = lines.findIndex(line => line.toLowerCase() === `- ${title.toLowerCase()}:`);
+    if (index === -1) return [];
+
+    const items = [];
+    for (const line of lines.slice(index + 1)) {
+      if (line.startsWith('- ')) break;
+      const match = line.match(/^>\s*(\S+)/);
+      if (match) items.push(match[1].toLowerCase());
+    }
+    return items;
+  }
+
+  // → ['admin', 'vip', ...] или null
+  async getGroups({ refresh = false } = {}) {
+    if (!refresh && this.groupsCache && Date.now() - this.groupsCache.fetchedAt < this.groupsCacheTtl) {
+      return this.groupsCache.groups;
+    }
+
+    // Showing group entries: (page 1 of 1 - 3 entries) / Groups: (name, weight, tracks) / -  vip - 10
+    const groups = await this.request('/lp listgroups', {
+      start: /^showing group entries/i,
+      end: (lines) => {
+        const total = lines[0].match(/(\d+) entries/i);
+        return !!total && lines.filter(line => GROUP_ENTRY.test(line)).length >= Number(total[1]);
       }
-      if (!args) {
-        bot.chat(`❌ ${playerName}, используй: !summon [сущность]`);
-        return;
+    }, lines => lines
+      .map(line => line.match(GROUP_ENTRY)?.[1].toLowerCase())
+      .filter(Boolean));
+
+    if (groups) this.groupsCache = { groups, fetchedAt: Date.now() };
+    return groups;
+  }
+
+  // → { username, primaryGroup, parents, temporaryParents, complete } или null
+  getUser(username) {
+    if (!PLAYER_NAME.test(username)) return Promise.resolve(null);
+
+    const name = escapeRegex(username);
+    return this.request(`/lp user ${username} info`, {
+      start: new RegExp(`^> user info: ${name}$`, 'i'),
+      end: endsWithMeta,
+      error: new RegExp(`(user for ${name} could not be found|${name} is not a valid)`, 'i')
+    }, (lines, complete) => ({
+      username: lines[0].match(/user info:\s*(\S+)/i)[1],
+      primaryGroup: lines.map(line => line.match(/^primary group:\s*(\S+)/i)?.[1]).find(Boolean)?.toLowerCase() || null,
+      parents: LuckPermsAdapter.section(lines, 'Parent Groups'),
+      temporaryParents: LuckPermsAdapter.section(lines, 'Temporary Parent Groups'),
+      complete
+    }));
+  }
+
+  // → { name, weight, parents } или null
+  getGroup(group) {
+    if (!/^[\w.-]+$/.test(group)) return Promise.resolve(null);
+
+    const name = escapeRegex(group);
+    return this.request(`/lp group ${group} info`, {
+      start: new RegExp(`^> group info: ${name}$`, 'i'),
+      end: endsWithMeta,
+      error: new RegExp(`(group named ${name} could not be found|group ${name} does not exist)`, 'i')
+    }, lines => ({
+      name: group.toLowerCase(),
+      weight: Number(lines.map(line => line.match(/^- weight:\s*(\d+)/i)?.[1]).find(Boolean)) || 0,
+      parents: LuckPermsAdapter.section(lines, 'Parent Groups')
+    }));
+  }
+}
+
+const luckPerms = new LuckPermsAdapter(config.luckPerms);
+
+// Ранг из ranks commands.json, которому соответствует группа LuckPerms
+function rankForGroup(group) {
+  return Object.keys(commandsManager.config.ranks).find(rank => luckPermsGroup(rank) === group.toLowerCase()) || null;
+}
+
+// LuckPerms - источник правды о текущем ранге: запись донатера подгоняется под
+// старший ранг среди его родительских групп. Пока для игрока есть отложенные
+// LuckPerms-команды, сверка не проводится - в базе более свежие данные.
+// Донатер удаляется, только если ответ LuckPerms дочитан до конца.
+// → { username, before, after } или null, если сверка не проводилась
+async function reconcileDonator(playerName) {
+  if (db.hasPendingLuckPerms(playerName)) return null;
+
+  const user = await luckPerms.getUser(playerName);
+  if (!user) return null;
+
+  const groups = [...user.parents, ...user.temporaryParents];
+  const donator = db.getDonator(playerName);
+  const before = donator?.rank || null;
+
+  const ranks = groups.map(rankForGroup).filter(Boolean);
+  let after = ranks.sort((a, b) => commandsManager.getRankLevel(b) - commandsManager.getRankLevel(a))[0] || null;
+  // Ранг, выданный группой вне ranks (например, из Telegram), остаётся как есть
+  if (!after && before && groups.includes(donatorGroup(donator))) after = before;
+
+  if (!after && before && !user.complete) {
+    mcLog.warn(`LuckPerms: ответ по ${playerName} неполный, донатер не удалён`);
+    return null;
+  }
+
+  if (after !== before) {
+    if (after) db.setDonatorRank(playerName, after, luckPermsGroup(after));
+    else db.removeDonator(playerName);
+    db.addLog(playerName, 'lpsync', true, `${before || '-'} → ${after || '-'}`, 'luckperms');
+    mcLog.info(`🔄 LuckPerms: ${playerName} ${before || '-'} → ${after || '-'}`);
+  }
+
+  return { username: playerName, before, after };
+}
+
+// ======================== ПЛАНИРОВЩИК ========================
+// Расписания из schedules.json (source: 'file') и из Telegram через /schedule
+// (source: 'telegram'). Команда - админская из commands.json, выполняется
+// через executeCommand и попадает в журнал с actor 'schedule:<id>'.
+// Разбор выражений и расчёт следующего запуска - в lib/schedule.js.
+// lastRunAt/nextRunAt хранятся в БД. Запуски, пропущенные пока бот
+// оффлайн: onMissed 'skip' - пропустить, 'catchup' - выполнить один раз
+// после подключения.
+const SCHEDULE_MISSED_MODES = ['skip', 'catchup'];
+const SCHEDULE_ID = /^[\w-]{1,32}$/;
+const SCHEDULER_NAME = 'scheduler';
+
+const formatScheduleTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toLocaleString('ru-RU') : 'никогда';
+
+class Scheduler {
+  constructor(options) {
+    this.path = options.path;
+    this.graceMs = options.graceMs;
+    this.running = false;
+  }
+
+  // → текст ошибки или null
+  validate(id, { when, command, args = '', onMissed = 'skip' }) {
+    if (!SCHEDULE_ID.test(id)) return 'id: только [A-Za-z0-9_-], до 32 символов';
+    const parsed = typeof when === 'string' && parseScheduleExpression(when);
+    if (!parsed || !nextScheduleRun(parsed, Date.now())) return `неверное выражение "${when}"`;
+    if (!SCHEDULE_MISSED_MODES.includes(onMissed)) return `onMissed: допустимо ${SCHEDULE_MISSED_MODES.join(', ')}`;
+
+    const cmdInfo = commandsManager.getAdminCommandInfo(command);
+    if (!cmdInfo) return `админской команды "${command}" нет или она выключена`;
+    // У расписания нет игрока: {player} превратился бы в "scheduler"
+    if ([].concat(cmdInfo.template).some(template => template.includes('{player}'))) {
+      return `команда "${command}" использует {player}, в расписании его нет`;
+    }
+
+    return parseCommandArgs(cmdInfo, String(args)).error || null;
+  }
+
+  // Определения берутся из schedules.json, состояние запусков - из БД
+  loadFile() {
+    let schedules;
+    try {
+      schedules = JSON.parse(fs.readFileSync(this.path, 'utf-8')).schedules || {};
+    } catch (error) {
+      appLog.error(`Ошибка загрузки schedules.json: ${error.message}`);
+      return;
+    }
+
+    for (const [id, saved] of Object.entries(db.getSchedules())) {
+      if (saved.source === 'file' && !schedules[id]) db.removeSchedule(id);
+    }
+
+    for (const [id, definition] of Object.entries(schedules)) {
+      const saved = db.getSchedule(id);
+      const error = saved?.source === 'telegram'
+        ? 'id занят расписанием из Telegram'
+        : this.validate(id, definition);
+      if (error) {
+        appLog.error(`schedules.json: ${id}: ${error}`);
+        continue;
       }
-      bot.chat(`/summon ${args}`);
-      bot.chat(`✨ ${args} спавнена!`);
-      break;
 
-    case 'difficulty':
-      if (!isAdmin) {
-        bot.chat(`❌ ${playerName}, эта команда только для ВЛАДЕЛЬЦА!`);
-        return;
+      const keepNextRun = saved && saved.when === definition.when;
+      db.setSchedule(id, {
+        when: definition.when,
+        command: definition.command,
+        args: String(definition.args || ''),
+        onMissed: definition.onMissed || 'skip',
+        enabled: definition.enabled !== false,
+        source: 'file',
+        createdBy: 'schedules.json',
+        lastRunAt: saved?.lastRunAt || null,
+        nextRunAt: keepNextRun ? saved.nextRunAt : nextScheduleRun(parseScheduleExpression(definition.when), Date.now())
+      });
+    }
+  }
+
+  // → { id } или { error }
+  add({ when, command, args, onMissed }, createdBy) {
+    let number = 1;
+    while (db.getSchedule(`t${number}`)) number++;
+    const id = `t${number}`;
+
+    const error = this.validate(id, { when, command, args, onMissed });
+    if (error) return { error };
+
+    db.setSchedule(id, {
+      when,
+      command,
+      args,
+      onMissed,
+      enabled: true,
+      source: 'telegram',
+      createdBy,
+      lastRunAt: null,
+      nextRunAt: nextScheduleRun(parseScheduleExpression(when), Date.now())
+    });
+    return { id };
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const [id, schedule] of Object.entries(db.getSchedules())) {
+        const now = Date.now();
+        if (!schedule.enabled || !schedule.nextRunAt || schedule.nextRunAt > now) continue;
+
+        const nextRunAt = nextScheduleRun(parseScheduleExpression(schedule.when), now);
+        const missed = !bot?.entity || now - schedule.nextRunAt > this.graceMs;
+
+        if (missed && schedule.onMissed !== 'catchup') {
+          db.setSchedule(id, { ...schedule, nextRunAt });
+          appLog.info(`⏭️ Расписание ${id} пропущено (${formatScheduleTime(schedule.nextRunAt)})`);
+          continue;
+        }
+        // catchup: запуск остаётся просроченным до подключения бота
+        if (!bot?.entity) continue;
+
+        await this.run(id, schedule, nextRunAt);
       }
-      const difficulty = args || 'normal';
-      bot.chat(`/difficulty ${difficulty}`);
-      bot.chat(`📊 Сложность: ${difficulty}`);
-      break;
+    } catch (error) {
+      appLog.error(`Ошибка планировщика: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async run(id, schedule, nextRunAt) {
+    // Время запуска фиксируется заранее, чтобы падение посреди команды не зациклило её
+    db.setSchedule(id, { ...schedule, lastRunAt: Date.now(), nextRunAt });
+
+    const actor = `schedule:${id}`;
+    const result = await executeCommand(SCHEDULER_NAME, schedule.command, schedule.args, 'ADMIN', { quiet: true, actor });
+    if (result.ok) db.addLog(SCHEDULER_NAME, schedule.command, true, 'OK', actor);
+
+    appLog.info(`⏰ Расписание ${id}: !${schedule.command} ${schedule.args} → ${result.ok ? 'OK' : result.reason}`);
+  }
+}
+
+const scheduler = new Scheduler(config.scheduler);
+
+// ======================== EXPRESS ========================
+const app = express();
+
+// rawBody нужен для проверки подписи вебхука магазина
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+app.get('/', (req, res) => {
+  res.status(200).json({
+    status: '✅ VoyagersSpace Bot v5.0',
+    botConnected: !!bot?.entity,
+    serverOnline: serverChecker.isOnline,
+    server: serverChecker.summary()
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.status(bot?.entity && serverChecker.isOnline ? 200 : 503).json({
+    status: bot?.entity ? 'healthy' : 'initializing',
+    botOnline: !!bot?.entity,
+    connection: { state: connection.state, reason: connection.reason, attempts: connection.attempts },
+    serverOnline: serverChecker.isOnline,
+    server: serverChecker.summary()
+  });
+});
+
+app.get('/commands', (req, res) => {
+  res.json({
+    allowed: commandsManager.getAllowedCommands(),
+    admin: commandsManager.getAdminCommands(),
+    banned: commandsManager.getBannedCommands()
+  });
+});
+
+// Гистограмма (в нс) меряет интервал таймера с шагом EVENT_LOOP_RESOLUTION мс,
+// задержка - превышение над шагом. Сбрасывается после каждого сбора метрик.
+const EVENT_LOOP_RESOLUTION = 20;
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+eventLoopDelay.enable();
+
+const eventLoopLag = (nanoseconds) => Math.max(0, nanoseconds / 1e9 - EVENT_LOOP_RESOLUTION / 1000);
+
+const oneOf = (states, current) => states.map(state => ({ labels: { state }, value: state === current ? 1 : 0 }));
+
+metrics.gauge('connection_state', 'Состояние подключения бота (1 - текущее)',
+  () => oneOf(CONNECTION_STATES, connection.state));
+metrics.gauge('connection_attempts', 'Неудачные попытки подключения подряд', () => connection.attempts);
+metrics.gauge('connection_uptime_seconds', 'Время с последнего входа бота на сервер',
+  () => (connection.connectedAt ? (Date.now() - connection.connectedAt) / 1000 : 0));
+metrics.gauge('server_state', 'Состояние сервера по Server List Ping (1 - текущее)',
+  () => oneOf(SERVER_STATES, serverChecker.state));
+metrics.gauge('server_ping_seconds', 'Задержка Server List Ping',
+  () => (serverChecker.status?.latency ?? NaN) / 1000);
+metrics.gauge('server_players_online', 'Игроков онлайн по Server List Ping',
+  () => serverChecker.status?.players.online ?? NaN);
+metrics.gauge('server_players_max', 'Слотов на сервере по Server List Ping',
+  () => serverChecker.status?.players.max ?? NaN);
+metrics.gauge('chat_queue_depth', 'Сообщений в очереди чата',
+  () => CHAT_PRIORITIES.map(priority => ({ labels: { priority }, value: chatQueue.queues[priority].length })));
+metrics.gauge('eventloop_lag_seconds', 'Задержка event loop с прошлого сбора метрик', () => [
+  { labels: { quantile: '0.5' }, value: eventLoopLag(eventLoopDelay.percentile(50)) },
+  { labels: { quantile: '0.99' }, value: eventLoopLag(eventLoopDelay.percentile(99)) },
+  { labels: { quantile: '1' }, value: eventLoopLag(eventLoopDelay.max) }
+]);
+
+app.get('/metrics', (req, res) => {
+  const body = metrics.render();
+  eventLoopDelay.reset();
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(body);
+});
+
+// ======================== ADMIN API ========================
+// Authorization: Bearer <ключ> или X-API-Key: <ключ>. Ключи выдаёт владелец через /apikey.
+const API_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+
+function requireApiKey(req, res, next) {
+  const header = req.get('authorization');
+  const token = header?.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+  const apiKey = token ? db.findApiKey(token) : null;
+
+  if (!apiKey) {
+    httpLog.security(`🚫 API без ключа: ${req.method} ${req.originalUrl} от ${req.ip}`);
+    return res.status(401).json({ error: 'Нужен действующий API ключ' });
+  }
+
+  req.actor = `api:${apiKey.name}`;
+  next();
+}
+
+function requirePlayerName(req, res, next) {
+  if (!PLAYER_NAME.test(req.params.name)) {
+    return res.status(400).json({ error: 'Неверный ник' });
+  }
+  next();
+}
+
+const api = express.Router();
+api.use(requireApiKey);
+
+api.get('/donators', (req, res) => {
+  res.json(db.getAllDonators());
+});
+
+api.get('/donators/:name', requirePlayerName, (req, res) => {
+  const donator = db.getDonator(req.params.name);
+  if (!donator) return res.status(404).json({ error: 'Не найден' });
+  res.json(donator);
+});
+
+// body: { rank, duration?: '30d' | 'forever', group?: 'luckperms-группа' }
+api.put('/donators/:name', requirePlayerName, (req, res) => {
+  const { rank, duration } = req.body || {};
+  const group = req.body?.group ?? (typeof rank === 'string' ? luckPermsGroup(rank) : undefined);
+  const durationMs = parseDuration(duration === undefined ? undefined : String(duration));
+
+  if (!commandsManager.isRank(rank) || !API_NAME.test(group || '') || durationMs === undefined) {
+    return res.status(400).json({
+      error: `Нужны rank (${Object.keys(commandsManager.config.ranks).join(', ')}), ` +
+        'group (A-Z, 0-9, _, -) и duration (30d, 12h, forever)'
+    });
+  }
+
+  grantRank(req.params.name, rank, durationMs, group);
+  db.addLog(req.params.name, 'api grant', true, `${rank} ${duration || 'навсегда'}`, req.actor);
+  res.json(db.getDonator(req.params.name));
+});
+
+api.delete('/donators/:name', requirePlayerName, (req, res) => {
+  const donator = db.getDonator(req.params.name);
+  if (!revokeRank(req.params.name)) return res.status(404).json({ error: 'Не найден' });
+
+  db.addLog(req.params.name, 'api revoke', true, donator.rank, req.actor);
+  res.json({ ok: true });
+});
+
+// Те же фильтры, что у /logs в Telegram: ?player=&cmd=&status=&reason=&actor=&since=&from=&to=
+api.get('/logs', async (req, res) => {
+  const { limit = 100, offset = 0, ...filters } = req.query;
+  const { filter, error } = parseLogFilter(
+    Object.entries(filters).map(([key, value]) => `${key}=${value}`)
+  );
+  if (error) return res.status(400).json({ error });
+
+  const start = Math.max(parseInt(offset) || 0, 0);
+  const count = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+  const logs = (await db.queryLogs(matchesLogFilter(filter))).reverse();
+
+  res.json({ total: logs.length, logs: logs.slice(start, start + count) });
+});
+
+api.get('/stats', (req, res) => {
+  res.json({
+    ...db.data.stats,
+    donators: Object.keys(db.getAllDonators()).length,
+    botConnected: !!bot?.entity,
+    serverOnline: serverChecker.isOnline
+  });
+});
+
+// ?limit=10 - топ по времени в игре
+api.get('/players', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+  res.json({
+    peakPlayers: db.data.stats.peakPlayers || 0,
+    peakPlayersAt: db.data.stats.peakPlayersAt || null,
+    players: db.getTopPlaytime(limit)
+  });
+});
+
+api.get('/players/:name', requirePlayerName, (req, res) => {
+  const player = db.getPlayer(req.params.name);
+  if (!player) return res.status(404).json({ error: 'Не найден' });
+  res.json(player);
+});
+
+// Коды форматирования вырезаются: § в исходящем чате кикает бота.
+// render превращает сообщение в то, что уйдёт в чат; длина считается по нему,
+// чтобы префикс /say не вывел команду за maxLength.
+const requireChatMessage = (render) => (req, res, next) => {
+  const message = typeof req.body?.message === 'string' ? stripFormatting(req.body.message).trim() : '';
+  if (!message || message.startsWith('/')) {
+    return res.status(400).json({ error: 'Нужно message (без команд)' });
+  }
+  const text = render(message);
+  if (text.length > config.chat.maxLength) {
+    return res.status(400).json({ error: `Сообщение длиннее ${config.chat.maxLength} символов` });
+  }
+  if (!bot?.entity) {
+    return res.status(503).json({ error: 'Бот оффлайн' });
+  }
+  req.chatMessage = message;
+  req.chatText = text;
+  next();
+};
+
+const requireBroadcast = (req, res, next) => {
+  if (!commandsManager.getAdminCommandInfo('broadcast')) {
+    return res.status(404).json({ error: '!broadcast отключена в commands.json' });
+  }
+  next();
+};
+
+// Очередь возвращает false, если сообщение выброшено (бот отключился, переполнение)
+const sendChatMessage = (command) => async (req, res) => {
+  const sent = await chatQueue.send(req.chatText);
+  db.addLog('-', command, sent, req.chatMessage, req.actor);
+  if (!sent) return res.status(503).json({ error: 'Сообщение не отправлено' });
+  res.json({ ok: true });
+};
+
+api.post('/chat', requireChatMessage(message => message), sendChatMessage('api chat'));
+
+api.post('/broadcast', requireBroadcast,
+  requireChatMessage(message => renderTemplate(commandsManager.getAdminCommandInfo('broadcast').template, { message })),
+  sendChatMessage('api broadcast'));
+
+api.post('/commands/reload', (req, res) => {
+  const result = commandsManager.reload();
+  db.addLog('-', 'api reload', result.ok, result.ok ? 'OK' : result.errors.join('; '), req.actor);
+  res.status(result.ok ? 200 : 422).json(result);
+});
+
+app.use('/api', api);
+
+// ======================== ВЕБХУК МАГАЗИНА ========================
+// POST /webhooks/shop, заголовок X-Signature: sha256=<hmac(SHOP_WEBHOOK_SECRET, тело)>
+// body: { orderId, productId, player }. Товары → ранги и сроки в shop.json.
+// Повтор того же orderId ничего не выдаёт; LuckPerms при оффлайн-боте ставится в очередь.
+const ORDER_ID = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+// Товар: { rank, duration, group? }. Ранг должен быть в ranks commands.json,
+// срок - разбираться parseDuration или явно 'forever': опечатка в сроке
+// иначе выдала бы ранг навсегда. → список ошибок, пустой - товар годен.
+function validateShopProduct(id, product) {
+  const where = `products.${id}`;
+  if (!isPlainObject(product)) return [`${where}: ожидался объект`];
+
+  const errors = [];
+  if (!commandsManager.isRank(product.rank)) errors.push(`${where}.rank: ранг "${product.rank}" не описан в commands.json`);
+  if (typeof product.duration !== 'string' || !product.duration || parseDuration(product.duration) === undefined) {
+    errors.push(`${where}.duration: ожидалось '30d', '12h', '2w' или 'forever'`);
+  }
+  if (product.group !== undefined && (typeof product.group !== 'string' || !product.group)) {
+    errors.push(`${where}.group: ожидалась строка`);
+  }
+  return errors;
+}
+
+// Товары с ошибками не продаются, остальные загружаются
+function loadShopProducts() {
+  let products;
+  try {
+    products = JSON.parse(fs.readFileSync(config.shop.productsPath, 'utf-8')).products || {};
+  } catch (error) {
+    httpLog.error(`Ошибка загрузки shop.json: ${error.message}`);
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(products).filter(([id, product]) => {
+    const errors = validateShopProduct(id, product);
+    if (errors.length > 0) httpLog.error(`shop.json: товар ${id} отключён:\n${errors.join('\n')}`);
+    return errors.length === 0;
+  }));
+}
+
+const shopProducts = loadShopProducts();
+
+// Покупка поверх текущего доната:
+//   тот же ранг - срок продлевается от max(сейчас, expiresAt), навсегда - заменяет срок;
+//   ранг выше текущего - выдаётся вместо него;
+//   ранг ниже текущего или срочный поверх вечного - заказ записывается, но ранг
+//   не меняется: решает персонал (уведомление в Telegram).
+// → { result: 'granted' | 'extended' | 'held', reason? }
+function applyShopPurchase(player, product, durationMs) {
+  const donator = db.getDonator(player);
+  const group = product.group || luckPermsGroup(product.rank);
+
+  if (donator?.rank === product.rank && durationMs !== null) {
+    if (donator.expiresAt === null) return { result: 'held', reason: 'ранг уже навсегда' };
+
+    runLuckPermsCommand(`/lp user ${player} parent set ${group}`);
+    db.extendDonator(player, durationMs);
+    return { result: 'extended' };
+  }
+
+  if (donator && donator.rank !== product.rank) {
+    if (commandsManager.getRankLevel(donator.rank) > commandsManager.getRankLevel(product.rank)) {
+      return { result: 'held', reason: `текущий ранг ${donator.rank} выше` };
+    }
+    if (donator.expiresAt === null && durationMs !== null) {
+      return { result: 'held', reason: `текущий ранг ${donator.rank} навсегда` };
+    }
+  }
+
+  grantRank(player, product.rank, durationMs, group);
+  return { result: 'granted' };
+}
+
+function isValidShopSignature(req) {
+  const signature = req.get('x-signature')?.replace(/^sha256=/, '') || '';
+  const expected = crypto
+    .createHmac('sha256', config.shop.webhookSecret)
+    .update(req.rawBody || '')
+    .digest('hex');
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+app.post('/webhooks/shop', (req, res) => {
+  if (!config.shop.webhookSecret) {
+    return res.status(503).json({ error: 'Вебхук не настроен' });
+  }
 
-    default:
-      bot.chat(`❌ ${playerName}, неизвестная команда !${command}`);
+  if (!isValidShopSignature(req)) {
+    httpLog.security(`🚫 Вебхук магазина с неверной подписью от ${req.ip}`);
+    return res.status(401).json({ error: 'Неверная подпись' });
   }
-}
-// ======================== STATE ========================
-const botState = {
-  pendingPlayer: '',
-  isCapturingGroups: false,
-  foundGroups: []
-};
 
-// ======================== EXPRESS ========================
-const app = express();
+  const { orderId, productId, player } = req.body || {};
+  if (!ORDER_ID.test(String(orderId)) || !PLAYER_NAME.test(String(player))) {
+    return res.status(400).json({ error: 'Нужны orderId и player' });
+  }
 
-app.use(express.json());
+  const existing = db.getShopOrder(orderId);
+  if (existing) {
+    return res.json({ ok: true, duplicate: true, order: existing });
+  }
 
-app.get('/', (req, res) => {
-  res.status(200).json({
-    status: '✅ VoyagersSpace Bot v5.0',
-    botConnected: !!bot?.entity,
-    serverOnline: serverChecker.isOnline,
-    admins: GAME_ADMINS,
-    stats: db.data.stats
-  });
-});
+  const product = shopProducts[productId];
+  if (!product) {
+    httpLog.warn(`Вебхук магазина: неизвестный товар ${productId} (заказ ${orderId})`);
+    return res.status(422).json({ error: `Неизвестный товар: ${productId}` });
+  }
 
-app.get('/health', (req, res) => {
-  res.status(bot?.entity && serverChecker.isOnline ? 200 : 503).json({
-    status: bot?.entity ? 'healthy' : 'initializing',
-    botOnline: !!bot?.entity,
-    serverOnline: serverChecker.isOnline
-  });
-});
+  // commands.json мог перезагрузиться без ранга товара
+  const productErrors = validateShopProduct(productId, product);
+  if (productErrors.length > 0) {
+    httpLog.error(`Вебхук магазина: товар ${productId} невалиден (заказ ${orderId}): ${productErrors.join('; ')}`);
+    return res.status(422).json({ error: `Товар ${productId} невалиден`, errors: productErrors });
+  }
 
-app.get('/commands', (req, res) => {
-  res.json({
-    allowed: commandsManager.getAllowedCommands(),
-    banned: commandsManager.getBannedCommands()
-  });
+  const { result, reason } = applyShopPurchase(player, product, parseDuration(product.duration));
+  db.addShopOrder(orderId, { productId, player, rank: product.rank, duration: product.duration, result });
+  db.addLog(player, 'shop grant', result !== 'held', `${orderId} ${productId} ${result}${reason ? ` (${reason})` : ''}`, 'shop');
+  httpLog.info(`🛒 Заказ ${orderId}: ${player} → ${product.rank} (${product.duration || 'навсегда'}): ${result}`);
+
+  const donator = db.getDonator(player);
+  const text = result === 'held'
+    ? `⚠️ <b>Покупка не применена</b>\n` +
+      `${escapeHtml(player)}: ${escapeHtml(productId)} - ${escapeHtml(reason)}\n` +
+      `Сейчас: ${escapeHtml(donator.rank)} (${formatExpiry(donator.expiresAt)})\n` +
+      `Заказ: ${escapeHtml(orderId)}\nРешите вручную: /adddonator или возврат`
+    : `🛒 <b>${result === 'extended' ? 'Продление' : 'Покупка'}</b>\n` +
+      `${escapeHtml(player)} → ${escapeHtml(product.rank)} (${formatExpiry(donator.expiresAt)})\n` +
+      `Заказ: ${escapeHtml(orderId)}${bot?.entity ? '' : '\n⏳ LuckPerms в очереди до подключения бота'}`;
+
+  tgBot.telegram.sendMessage(config.tg.adminId, text, { parse_mode: 'HTML' })
+    .catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+
+  res.json({ ok: true, duplicate: false, order: db.getShopOrder(orderId) });
 });
 
-app.listen(config.server.port, '0.0.0.0', () => {
-  logInfo(`🌐 Express на ${config.server.port}`);
+const httpServer = app.listen(config.server.port, '0.0.0.0', () => {
+  httpLog.info(`🌐 Express на ${config.server.port}`);
 });
 
 // ======================== TELEGRAM КОМАНДЫ ========================
-const isAdmin = (userId) => userId === config.tg.adminId;
+// ADMIN_ID из окружения - всегда владелец, остальной персонал хранится в БД
+const TG_ROLES = {
+  owner: ['*'],
+  moderator: ['status', 'donators', 'adddonator', 'removedonator', 'grant', 'lpsync', 'logs', 'stats', 'player', 'top', 'help'],
+  viewer: ['status', 'donators', 'logs', 'stats', 'player', 'top', 'help']
+};
+
+const getTgRole = (userId) => {
+  if (userId === config.tg.adminId) return 'owner';
+  return db.getTgStaff()[userId]?.role || null;
+};
+
+const canTg = (userId, permission) => {
+  const permissions = TG_ROLES[getTgRole(userId)] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+const tgActor = (ctx) =>
+  `tg:${ctx.from.id}${ctx.from.username ? ` @${ctx.from.username}` : ''}`;
+
+function auditStaffAction(ctx, command, target, details = '') {
+  db.addLog(target, command, true, details, tgActor(ctx));
+  tgLog.info(`🛂 ${tgActor(ctx)} → ${command} ${target} ${details}`);
+}
 
 tgBot.start(ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌ Доступ запрещен');
+  if (!getTgRole(ctx.from.id)) return ctx.reply('❌ Доступ запрещен');
 
   ctx.reply(
     '👋 <b>VoyagersSpace Bot v5.0</b>\n\n' +
     '🔒 <b>Система активна!</b>\n\n' +
     '<b>Команды:</b>\n' +
     '/status - Статус\n' +
-    '/adddonator [ник] [ранг]\n' +
+    '/adddonator [ник] [ранг] [срок]\n' +
     '/removedonator [ник]\n' +
     '/donators - Список\n' +
-    '/logs - Логи\n' +
+    '/logs [фильтры] - Логи\n' +
     '/stats - Статистика\n' +
+    '/staff add|remove|list - Персонал\n' +
+    '/gameadmin add|remove|list - Админы в игре\n' +
+    '/apikey create|list|revoke - Ключи API\n' +
+    '/reloadcommands - Перечитать commands.json\n' +
     '/help - Справка',
     { parse_mode: 'HTML' }
   );
 });
 
 tgBot.command('status', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'status')) return ctx.reply('❌');
+
+  const server = serverChecker.summary();
+  const serverStates = { online: '✅', starting: '🟡 запускается', offline: '❌ выключен', unreachable: '❌ недоступен' };
+  const players = server.players
+    ? `${server.players.online}/${server.players.max}` +
+      (server.players.sample.length > 0 ? `: ${escapeHtml(server.players.sample.join(', '))}` : '')
+    : '-';
 
   ctx.reply(
     `<b>📊 Статус</b>\n\n` +
-    `БОТ: ${bot?.entity ? '✅' : '❌'}\n` +
-    `СЕРВЕР: ${serverChecker.isOnline ? '✅' : '❌'}\n` +
-    `Админы: ${GAME_ADMINS.join(', ')}\n` +
+    `БОТ: ${bot?.entity ? '✅' : '❌'} (${connection.state}${connection.reason ? `: ${escapeHtml(connection.reason)}` : ''})\n` +
+    `СЕРВЕР: ${serverStates[server.state]}\n` +
+    (server.checkedAt
+      ? `MOTD: ${escapeHtml(server.motd || '-')}\n` +
+        `Версия: ${escapeHtml(server.version || '-')} (протокол ${server.protocol})\n` +
+        `Игроки: ${players}\n` +
+        `Пинг: ${server.latency} мс\n`
+      : '') +
+    `Админы: ${db.getGameAdmins().join(', ')}\n` +
     `Всего команд: ${db.data.stats.totalCommands}`,
     { parse_mode: 'HTML' }
   );
 });
 
+tgBot.command('restart', ctx => {
+  if (!canTg(ctx.from.id, 'restart')) return ctx.reply('❌');
+  // Telegram повторит неподтверждённый /restart после перезапуска - старые игнорируем
+  if (ctx.message.date <= Math.floor(lifecycle.startedAt / 1000)) return;
+
+  auditStaffAction(ctx, '/restart', '-');
+  ctx.reply('🔄 Перезапуск...')
+    .catch(err => tgLog.error(`Ошибка отправки: ${err.message}`))
+    .finally(() => lifecycle.shutdown(`/restart от ${tgActor(ctx)}`, RESTART_EXIT_CODE));
+});
+
+tgBot.command('reconnect', ctx => {
+  if (!canTg(ctx.from.id, 'reconnect')) return ctx.reply('❌');
+
+  const waitForServer = !serverChecker.isOnline && !connection.current;
+  connection.reconnect();
+  auditStaffAction(ctx, '/reconnect', '-');
+  ctx.reply(waitForServer
+    ? `⏳ Сервер сейчас ${serverChecker.state}, бот подключится, когда он запустится`
+    : '🔄 Переподключаюсь...');
+});
+
+tgBot.command('disconnect', ctx => {
+  if (!canTg(ctx.from.id, 'disconnect')) return ctx.reply('❌');
+
+  connection.disconnect();
+  auditStaffAction(ctx, '/disconnect', '-');
+  ctx.reply('⏹️ Бот отключён и не будет переподключаться до /reconnect');
+});
+
 tgBot.command('adddonator', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'adddonator')) return ctx.reply('❌');
 
   const args = ctx.message.text.split(' ');
   const playerName = args[1];
   const rank = args[2]?.toUpperCase();
+  const duration = parseDuration(args[3]);
 
-  if (!playerName || !rank) {
+  if (!PLAYER_NAME.test(playerName || '') || !commandsManager.isRank(rank) || duration === undefined) {
     return ctx.reply(
-      '❌ Используй: /adddonator [ник] [ранг]\n' +
-      'Ранги: VIP, PREMIUM, DIAMOND',
+      '❌ Используй: /adddonator [ник] [ранг] [срок]\n' +
+      `Ранги: ${Object.keys(commandsManager.config.ranks).join(', ')}\n` +
+      'Срок: 30d, 90d, 12h, навсегда (по умолчанию)',
       { parse_mode: 'HTML' }
     );
   }
 
-  db.addDonator(playerName, rank);
+  // Через LuckPerms, как и остальные выдачи: иначе сверка при входе не найдёт
+  // группу и удалит донатера
+  grantRank(playerName, rank, duration);
+  auditStaffAction(ctx, '/adddonator', playerName, `${rank} ${args[3] || 'навсегда'}`);
 
   ctx.reply(
     `✅ <b>Добавлен!</b>\n` +
-    `${playerName} - ${rank}`,
+    `${playerName} - ${rank} (${formatExpiry(db.getDonator(playerName).expiresAt)})`,
     { parse_mode: 'HTML' }
   );
 });
 
 tgBot.command('removedonator', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'removedonator')) return ctx.reply('❌');
 
   const args = ctx.message.text.split(' ');
   const playerName = args[1];
@@ -806,7 +3411,10 @@ tgBot.command('removedonator', ctx => {
     return ctx.reply('❌ Используй: /removedonator [ник]');
   }
 
-  if (db.removeDonator(playerName)) {
+  const donator = db.getDonator(playerName);
+
+  if (revokeRank(playerName)) {
+    auditStaffAction(ctx, '/removedonator', playerName, donator.rank);
     ctx.reply(`✅ Удален: ${playerName}`);
   } else {
     ctx.reply(`❌ Не найден: ${playerName}`);
@@ -814,7 +3422,7 @@ tgBot.command('removedonator', ctx => {
 });
 
 tgBot.command('donators', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'donators')) return ctx.reply('❌');
 
   const donators = db.getAllDonators();
 
@@ -825,29 +3433,240 @@ tgBot.command('donators', ctx => {
   let text = '<b>🎁 Доната</b>\n\n';
 
   Object.entries(donators).forEach(([username, info]) => {
-    text += `• ${username} - <b>${info.rank}</b>\n`;
+    text += `• ${username} - <b>${info.rank}</b> (${formatExpiry(info.expiresAt)})\n`;
   });
 
   ctx.reply(text, { parse_mode: 'HTML' });
 });
 
-tgBot.command('logs', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+// /lpsync [ник] - сверить ранги с LuckPerms (без ника - всех донатеров)
+tgBot.command('lpsync', async ctx => {
+  if (!canTg(ctx.from.id, 'lpsync')) return ctx.reply('❌');
+  if (!bot?.entity) return ctx.reply('❌ Бот оффлайн');
+
+  const playerName = ctx.message.text.split(' ')[1];
+  const players = playerName ? [playerName] : Object.keys(db.getAllDonators());
+  if (players.length === 0) return ctx.reply('❌ Нет доната');
+
+  await ctx.reply(`🔄 Сверяю с LuckPerms: ${players.length}...`);
+
+  const lines = [];
+  for (const name of players) {
+    const result = await reconcileDonator(name);
+    if (!result) lines.push(`• ${escapeHtml(name)} - ⚠️ нет ответа LuckPerms`);
+    else if (result.before !== result.after) lines.push(`• ${escapeHtml(name)}: ${escapeHtml(result.before || '-')} → <b>${escapeHtml(result.after || '-')}</b>`);
+    else if (playerName) lines.push(`• ${escapeHtml(name)} - <b>${escapeHtml(result.after || 'без ранга')}</b>`);
+  }
+  auditStaffAction(ctx, 'lpsync', playerName || '*', `${players.length} игроков`);
+
+  ctx.reply(
+    `<b>🔄 Сверка LuckPerms</b>\n\n${lines.length > 0 ? lines.join('\n') : '✅ Всё совпадает'}`,
+    { parse_mode: 'HTML' }
+  );
+});
+
+// ======================== ПРОСМОТР ЛОГОВ ========================
+const LOGS_PAGE_SIZE = 15;
+const LOG_QUERY_TTL = 30 * 60 * 1000;
+const LOG_QUERY_LIMIT = 20;
+const logQueries = new Map();
+let logQueryCounter = 0;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// /logs player=bob cmd=give status=denied reason=запрещена since=24h from=2026-10-01 to=2026-10-19
+function parseLogFilter(args) {
+  const filter = {};
+
+  for (const arg of args) {
+    const [key, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (!value) return { error: `Фильтр без значения: ${arg}` };
+
+    switch (key.toLowerCase()) {
+      case 'player':
+        filter.player = value.toLowerCase();
+        break;
+      case 'cmd':
+      case 'command':
+        filter.command = value.toLowerCase().replace(/^!/, '');
+        break;
+      case 'status':
+        if (!['ok', 'denied'].includes(value.toLowerCase())) {
+          return { error: 'status: ok или denied' };
+        }
+        filter.allowed = value.toLowerCase() === 'ok';
+        break;
+      case 'actor':
+        filter.actor = value.toLowerCase();
+        break;
+      case 'reason':
+        // Пробелы в причине пишутся через _: reason=не_донатер
+        filter.reason = value.toLowerCase().replace(/_/g, ' ');
+        break;
+      case 'since': {
+        const duration = parseDuration(value);
+        if (!duration) return { error: `Неверный срок: ${value}` };
+        filter.from = Date.now() - duration;
+        break;
+      }
+      case 'from':
+      case 'to': {
+        const date = Date.parse(value);
+        if (Number.isNaN(date)) return { error: `Неверная дата: ${value}` };
+        // to включает весь указанный день
+        filter[key] = key === 'to' && !value.includes('T') ? date + DURATION_UNITS.d : date;
+        break;
+      }
+      default:
+        return { error: `Неизвестный фильтр: ${key}` };
+    }
+  }
+
+  return { filter };
+}
+
+const matchesLogFilter = (filter) => (entry) =>
+  (filter.player === undefined || entry.player?.toLowerCase() === filter.player) &&
+  (filter.command === undefined || entry.command === filter.command) &&
+  (filter.allowed === undefined || entry.allowed === filter.allowed) &&
+  (filter.reason === undefined || entry.reason?.toLowerCase().includes(filter.reason)) &&
+  (filter.actor === undefined || entry.actor?.toLowerCase().includes(filter.actor)) &&
+  (filter.from === undefined || entry.timestamp >= filter.from) &&
+  (filter.to === undefined || entry.timestamp < filter.to);
+
+// Журнал читается один раз на /logs, страницы и экспорт берутся из результата
+async function saveLogQuery(filter) {
+  const now = Date.now();
+  for (const [id, query] of logQueries) {
+    if (now - query.createdAt > LOG_QUERY_TTL) logQueries.delete(id);
+  }
+  // Map хранит порядок вставки: первым удаляется самый старый запрос
+  while (logQueries.size >= LOG_QUERY_LIMIT) {
+    logQueries.delete(logQueries.keys().next().value);
+  }
 
-  const logs = db.data.logs.slice(-15);
-  let text = '<b>📋 Логи</b>\n\n';
+  const logs = await db.queryLogs(matchesLogFilter(filter));
+  const id = String(++logQueryCounter);
+  logQueries.set(id, { filter, logs, createdAt: now });
+  return id;
+}
 
-  logs.forEach(log => {
-    const time = new Date(log.timestamp).toLocaleTimeString('ru-RU');
-    const status = log.allowed ? '✅' : '❌';
-    text += `${status} ${time} - ${log.player} → !${log.command}\n`;
+function renderLogsPage(queryId, page) {
+  const query = logQueries.get(queryId);
+  if (!query) return { text: '❌ Запрос устарел, повторите /logs' };
+
+  // Новые записи сверху
+  const logs = [...query.logs].reverse();
+  if (logs.length === 0) return { text: '❌ Ничего не найдено' };
+
+  const pages = Math.ceil(logs.length / LOGS_PAGE_SIZE);
+  const current = Math.min(Math.max(page, 0), pages - 1);
+  let text = `<b>📋 Логи</b> (${logs.length}, стр. ${current + 1}/${pages})\n\n`;
+
+  logs.slice(current * LOGS_PAGE_SIZE, (current + 1) * LOGS_PAGE_SIZE).forEach(entry => {
+    const time = new Date(entry.timestamp).toLocaleString('ru-RU');
+    const status = entry.allowed ? '✅' : '❌';
+    if (entry.actor) {
+      text += `🛂 ${time} - ${escapeHtml(entry.actor)} → ${escapeHtml(entry.command)} ` +
+        `${escapeHtml(entry.player)} <i>${escapeHtml(entry.reason)}</i>\n`;
+      return;
+    }
+    const reason = entry.allowed ? '' : ` <i>${escapeHtml(entry.reason)}</i>`;
+    text += `${status} ${time} - ${escapeHtml(entry.player)} → !${escapeHtml(entry.command)}${reason}\n`;
   });
 
-  ctx.reply(text, { parse_mode: 'HTML' });
+  const navigation = [];
+  if (current > 0) navigation.push(Markup.button.callback('⬅️', `logs_${queryId}_${current - 1}`));
+  if (current < pages - 1) navigation.push(Markup.button.callback('➡️', `logs_${queryId}_${current + 1}`));
+
+  const keyboard = Markup.inlineKeyboard([
+    navigation,
+    [
+      Markup.button.callback('📄 CSV', `logsexp_${queryId}_csv`),
+      Markup.button.callback('📄 JSON', `logsexp_${queryId}_json`)
+    ]
+  ].filter(row => row.length > 0));
+
+  return { text, keyboard };
+}
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function exportLogs(logs, format) {
+  if (format === 'json') {
+    return JSON.stringify(logs, null, 2);
+  }
+
+  const header = 'timestamp,time,player,command,allowed,reason,actor';
+  const rows = logs.map(entry => [
+    entry.timestamp,
+    new Date(entry.timestamp).toISOString(),
+    entry.player,
+    entry.command,
+    entry.allowed,
+    entry.reason,
+    entry.actor
+  ].map(csvField).join(','));
+
+  return [header, ...rows].join('\n');
+}
+
+tgBot.command('logs', async ctx => {
+  if (!canTg(ctx.from.id, 'logs')) return ctx.reply('❌');
+
+  const { filter, error } = parseLogFilter(ctx.message.text.split(/\s+/).slice(1));
+  if (error) {
+    return ctx.reply(
+      `❌ ${error}\n\n` +
+      'Используй: /logs [player=ник] [cmd=команда] [status=ok|denied]\n' +
+      '[reason=текст] [actor=tg_id] [since=24h] [from=2026-01-01] [to=2026-01-31]'
+    );
+  }
+
+  const { text, keyboard } = renderLogsPage(await saveLogQuery(filter), 0);
+  ctx.reply(text, { parse_mode: 'HTML', ...keyboard });
+});
+
+tgBot.action(/^logs_(\d+)_(\d+)$/, async ctx => {
+  if (!canTg(ctx.from.id, 'logs')) return ctx.answerCbQuery('❌');
+
+  const { text, keyboard } = renderLogsPage(ctx.match[1], Number(ctx.match[2]));
+  try {
+    await ctx.editMessageText(text, { parse_mode: 'HTML', ...keyboard });
+  } catch (err) {
+    // Повторное нажатие на ту же страницу - Telegram отвечает "message is not modified"
+    if (!err.description?.includes('message is not modified')) tgLog.error(`Ошибка отправки: ${err.message}`);
+  } finally {
+    ctx.answerCbQuery().catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+  }
+});
+
+tgBot.action(/^logsexp_(\d+)_(csv|json)$/, async ctx => {
+  if (!canTg(ctx.from.id, 'logs')) return ctx.answerCbQuery('❌');
+
+  const query = logQueries.get(ctx.match[1]);
+  if (!query) return ctx.answerCbQuery('❌ Запрос устарел');
+
+  const format = ctx.match[2];
+  const logs = query.logs;
+  auditStaffAction(ctx, '/logs export', '-', `${format}, ${logs.length} записей`);
+
+  ctx.answerCbQuery();
+  await ctx.replyWithDocument({
+    source: Buffer.from(exportLogs(logs, format)),
+    filename: `logs-${new Date().toISOString().slice(0, 10)}.${format}`
+  });
 });
 
 tgBot.command('stats', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'stats')) return ctx.reply('❌');
 
   const stats = db.data.stats;
 
@@ -855,130 +3674,564 @@ tgBot.command('stats', ctx => {
     `<b>📈 Статистика</b>\n\n` +
     `Команд: ${stats.totalCommands}\n` +
     `Донатов: ${stats.totalDonats}\n` +
-    `Блокировок: ${stats.blockedAttempts}`,
+    `Блокировок: ${stats.blockedAttempts}\n` +
+    `Пик онлайна: ${stats.peakPlayers || 0}` +
+    (stats.peakPlayersAt ? ` (${new Date(stats.peakPlayersAt).toLocaleString('ru-RU')})` : ''),
     { parse_mode: 'HTML' }
   );
 });
 
+tgBot.command('player', ctx => {
+  if (!canTg(ctx.from.id, 'player')) return ctx.reply('❌');
+
+  const playerName = ctx.message.text.split(/\s+/)[1];
+  if (!playerName) return ctx.reply('❌ Используй: /player [ник]');
+
+  const player = db.getPlayer(playerName);
+  if (!player) return ctx.reply(`❌ ${playerName} ещё не заходил`);
+
+  const donator = db.getDonator(player.username);
+  const sessions = player.recentSessions.slice(-5).reverse().map(session =>
+    `• ${new Date(session.joinedAt).toLocaleString('ru-RU')} - ${formatDuration(session.leftAt - session.joinedAt)}`
+  );
+
+  ctx.reply(
+    `<b>👤 ${escapeHtml(player.username)}</b> ${player.online ? '🟢 онлайн' : '⚫ оффлайн'}\n\n` +
+    `Ранг: ${donator ? `<b>${escapeHtml(donator.rank)}</b> (${formatExpiry(donator.expiresAt)})` : 'нет'}\n` +
+    `Наиграно: ${formatDuration(player.playtime)}\n` +
+    `Сессий: ${player.sessionCount}\n` +
+    `Впервые: ${new Date(player.firstSeen).toLocaleString('ru-RU')}\n` +
+    `Последний раз: ${player.online ? 'сейчас' : new Date(player.lastSeen).toLocaleString('ru-RU')}` +
+    (sessions.length > 0 ? `\n\n<b>Последние сессии:</b>\n${sessions.join('\n')}` : ''),
+    { parse_mode: 'HTML' }
+  );
+});
+
+tgBot.command('top', ctx => {
+  if (!canTg(ctx.from.id, 'top')) return ctx.reply('❌');
+
+  const [, category = 'playtime'] = ctx.message.text.split(/\s+/);
+  if (category !== 'playtime') return ctx.reply('❌ Используй: /top playtime');
+
+  const top = db.getTopPlaytime(10);
+  if (top.length === 0) return ctx.reply('❌ Игроков ещё нет');
+
+  ctx.reply(
+    `<b>🏆 Топ по времени в игре</b>\n\n` +
+    top.map((player, index) =>
+      `${index + 1}. ${escapeHtml(player.username)} - ${formatDuration(player.playtime)}${player.online ? ' 🟢' : ''}`
+    ).join('\n'),
+    { parse_mode: 'HTML' }
+  );
+});
+
+tgBot.command('staff', ctx => {
+  if (!canTg(ctx.from.id, 'staff')) return ctx.reply('❌');
+
+  const [, action, userIdArg, roleArg, ...nameParts] = ctx.message.text.split(/\s+/);
+  const userId = parseInt(userIdArg);
+
+  if (action === 'list') {
+    let text = `<b>🛂 Персонал</b>\n\n• ${config.tg.adminId} - <b>owner</b> (ADMIN_ID)\n`;
+    Object.entries(db.getTgStaff()).forEach(([id, info]) => {
+      const name = info.name ? ` ${escapeHtml(info.name)}` : '';
+      text += `• ${id}${name} - <b>${info.role}</b>\n`;
+    });
+    return ctx.reply(text, { parse_mode: 'HTML' });
+  }
+
+  if (action === 'add' && userId && TG_ROLES[roleArg]) {
+    db.setTgStaff(userId, {
+      role: roleArg,
+      name: nameParts.join(' '),
+      addedBy: ctx.from.id,
+      addedAt: Date.now()
+    });
+    auditStaffAction(ctx, '/staff add', `tg:${userId}`, roleArg);
+    return ctx.reply(`✅ ${userId} - ${roleArg}`);
+  }
+
+  if (action === 'remove' && userId) {
+    if (userId === config.tg.adminId) {
+      return ctx.reply('❌ Владельца из ADMIN_ID удалить нельзя');
+    }
+    if (!db.removeTgStaff(userId)) {
+      return ctx.reply(`❌ Не найден: ${userId}`);
+    }
+    auditStaffAction(ctx, '/staff remove', `tg:${userId}`);
+    return ctx.reply(`✅ Удален: ${userId}`);
+  }
+
+  ctx.reply(
+    '❌ Используй:\n' +
+    `/staff add [tg_id] [${Object.keys(TG_ROLES).join('|')}] [имя]\n` +
+    '/staff remove [tg_id]\n' +
+    '/staff list'
+  );
+});
+
+tgBot.command('gameadmin', ctx => {
+  if (!canTg(ctx.from.id, 'gameadmin')) return ctx.reply('❌');
+
+  const [, action, playerName, tgIdArg] = ctx.message.text.split(/\s+/);
+
+  if (action === 'list') {
+    const admins = db.getGameAdmins();
+    return ctx.reply(
+      admins.length > 0
+        ? `<b>👑 Админы в игре</b>\n\n${admins.map(name =>
+          `• ${escapeHtml(name)} → tg:${db.getGameAdminTgId(name) || 'не привязан'}`).join('\n')}`
+        : '❌ Админов нет',
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  // Без tg_id ник привязывается к тому, кто его добавляет
+  const tgId = tgIdArg === undefined ? ctx.from.id : parseInt(tgIdArg);
+  if (action === 'add' && playerName && !PLAYER_NAME.test(playerName)) {
+    return ctx.reply('❌ Ник 3-16 символов: латиница, цифры, _');
+  }
+  if (action === 'add' && playerName && tgId) {
+    db.addGameAdmin(playerName, tgId, tgActor(ctx));
+    auditStaffAction(ctx, '/gameadmin add', playerName, `tg:${tgId}`);
+    return ctx.reply(`✅ Админ: ${playerName} (коды в tg:${tgId})`);
+  }
+
+  if (action === 'remove' && playerName) {
+    if (!db.removeGameAdmin(playerName)) {
+      return ctx.reply(`❌ Не найден: ${playerName}`);
+    }
+    adminVerifier.revoke(playerName);
+    auditStaffAction(ctx, '/gameadmin remove', playerName);
+    return ctx.reply(`✅ Удален: ${playerName}`);
+  }
+
+  ctx.reply('❌ Используй: /gameadmin add [ник] [tg_id], /gameadmin remove [ник] или /gameadmin list');
+});
+
+tgBot.command('apikey', ctx => {
+  if (!canTg(ctx.from.id, 'apikey')) return ctx.reply('❌');
+
+  const [, action, arg] = ctx.message.text.split(/\s+/);
+
+  if (action === 'create' && API_NAME.test(arg || '')) {
+    const { id, token } = db.createApiKey(arg, tgActor(ctx));
+    auditStaffAction(ctx, '/apikey create', `api:${arg}`, id);
+    return ctx.reply(
+      `🔑 <b>Ключ ${escapeHtml(arg)}</b> (${id})\n\n<code>${token}</code>\n\n` +
+      'Показывается один раз - сохраните его.',
+      { parse_mode: 'HTML' }
+    );
+  }
+
+  if (action === 'list') {
+    const keys = Object.entries(db.getApiKeys());
+    if (keys.length === 0) return ctx.reply('❌ Ключей нет');
+
+    let text = '<b>🔑 API ключи</b>\n\n';
+    keys.forEach(([id, info]) => {
+      const lastUsed = info.lastUsedAt ? new Date(info.lastUsedAt).toLocaleString('ru-RU') : 'никогда';
+      text += `• ${id} - ${escapeHtml(info.name)} (использован: ${lastUsed})\n`;
+    });
+    return ctx.reply(text, { parse_mode: 'HTML' });
+  }
+
+  if (action === 'revoke' && arg) {
+    if (!db.revokeApiKey(arg)) return ctx.reply(`❌ Не найден: ${arg}`);
+    auditStaffAction(ctx, '/apikey revoke', '-', arg);
+    return ctx.reply(`✅ Отозван: ${arg}`);
+  }
+
+  ctx.reply('❌ Используй: /apikey create [имя] | list | revoke [id]');
+});
+
+// /schedule add <выражение> | <команда> [аргументы] [| catchup]
+tgBot.command('schedule', ctx => {
+  if (!canTg(ctx.from.id, 'schedule')) return ctx.reply('❌');
+
+  const [, action = '', rest = ''] = ctx.message.text.match(/^\/\S+\s*(\S*)\s*(.*)$/s) || [];
+
+  if (action === 'list') {
+    const schedules = Object.entries(db.getSchedules());
+    if (schedules.length === 0) return ctx.reply('❌ Расписаний нет');
+
+    let text = '<b>⏰ Расписания</b>\n\n';
+    schedules.forEach(([id, schedule]) => {
+      text += `• <b>${escapeHtml(id)}</b>${schedule.enabled ? '' : ' (выключено)'} - ` +
+        `<code>${escapeHtml(schedule.when)}</code> → !${escapeHtml(`${schedule.command} ${schedule.args}`.trim())}\n` +
+        `  ${schedule.source === 'file' ? 'schedules.json' : escapeHtml(schedule.createdBy)}, ` +
+        `пропуски: ${schedule.onMissed}, следующий: ${formatScheduleTime(schedule.nextRunAt)}\n`;
+    });
+    return ctx.reply(text, { parse_mode: 'HTML' });
+  }
+
+  if (action === 'add' && rest.includes('|')) {
+    const [when, commandLine, mode = 'skip'] = rest.split('|').map(part => part.trim());
+    const [command = '', ...args] = commandLine.replace(/^!/, '').split(/\s+/);
+    const onMissed = mode.toLowerCase();
+
+    const result = scheduler.add({ when, command: command.toLowerCase(), args: args.join(' '), onMissed }, tgActor(ctx));
+    if (result.error) return ctx.reply(`❌ ${result.error}`);
+
+    const schedule = db.getSchedule(result.id);
+    auditStaffAction(ctx, '/schedule add', result.id, `${when} | ${commandLine}`);
+    return ctx.reply(`✅ Расписание ${result.id}, следующий запуск: ${formatScheduleTime(schedule.nextRunAt)}`);
+  }
+
+  if (action === 'remove' && rest) {
+    const schedule = db.getSchedule(rest);
+    if (!schedule) return ctx.reply(`❌ Не найдено: ${rest}`);
+    if (schedule.source === 'file') return ctx.reply('❌ Расписание из schedules.json - удалите его в файле');
+
+    db.removeSchedule(rest);
+    auditStaffAction(ctx, '/schedule remove', rest);
+    return ctx.reply(`✅ Удалено: ${rest}`);
+  }
+
+  ctx.reply(
+    '❌ Используй:\n' +
+    '/schedule add [выражение] | [команда] [аргументы] [| catchup]\n' +
+    '/schedule remove [id]\n' +
+    '/schedule list\n\n' +
+    'Выражение: every 30m, @daily или cron "0 */2 * * *"'
+  );
+});
+
+function reportCommandsReload(result, source, chatId = config.tg.adminId) {
+  const text = result.ok
+    ? `🔄 <b>commands.json перезагружен</b> (${source})\n` +
+      `Команд: ${Object.keys(commandsManager.getAllowedCommands()).length}`
+    : `⚠️ <b>commands.json невалиден</b> (${source}), оставлен прошлый конфиг:\n\n` +
+      result.errors.slice(0, 20).map(error => `• ${escapeHtml(error)}`).join('\n') +
+      (result.errors.length > 20 ? `\n… ещё ${result.errors.length - 20}` : '');
+
+  return tgBot.telegram.sendMessage(chatId, text, { parse_mode: 'HTML' })
+    .catch(err => tgLog.error(`Ошибка отправки: ${err.message}`));
+}
+
+tgBot.command('reloadcommands', ctx => {
+  if (!canTg(ctx.from.id, 'reloadcommands')) return ctx.reply('❌');
+
+  const result = commandsManager.reload();
+  auditStaffAction(ctx, '/reloadcommands', '-', result.ok ? 'OK' : `${result.errors.length} ошибок`);
+
+  reportCommandsReload(result, '/reloadcommands', ctx.chat.id);
+});
+
 tgBot.command('help', ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'help')) return ctx.reply('❌');
+
+  const listCommands = (commands) => Object.entries(commands)
+    .filter(([, info]) => info.enabled)
+    .map(([name]) => `!${name}`)
+    .join(' ');
 
   ctx.reply(
     `<b>📖 Справка v5.0</b>\n\n` +
     `<b>Обычные:</b>\n` +
-    `!give !heal !tpall !gamemode !effect\n` +
-    `!fly !speed !strength !jump\n` +
-    `!invisibility !nightvision !resistance\n` +
-    `!absorption !haste !saturation\n` +
-    `!water_breathing !fire_resistance\n` +
-    `!slowness !mining_fatigue !nausea\n` +
-    `!blindness !hunger !weakness !poison\n` +
-    `!wither !levitation !glowing !luck\n\n` +
-    `<b>Админ (voyagerplay):</b>\n` +
-    `!say !broadcast !clear !weather !time\n` +
-    `!kill !tp !teleport !summon\n` +
-    `!difficulty !gamerule !seed !save-all\n` +
-    `!reload !pardon !ban !kick !op !deop\n` +
-    `!list !scoreboard !worldborder\n` +
-    `!spawnpoint`,
+    `${listCommands(commandsManager.getAllowedCommands())}\n\n` +
+    `<b>Админ (${db.getGameAdmins().join(', ')}):</b>\n` +
+    `${listCommands(commandsManager.getAdminCommands())}`,
     { parse_mode: 'HTML' }
   );
 });
 
+// ======================== ВЫДАЧА РАНГА ИЗ TELEGRAM ========================
+// Каждый поиск ника - отдельная сессия: id сессии зашит в callback кнопок,
+// поэтому старые кнопки и параллельные поиски не путают игроков.
+const grantSessions = new Map();
+let grantSessionCounter = 0;
+
+function createGrantSession(ctx, playerName) {
+  const now = Date.now();
+  for (const [id, session] of grantSessions) {
+    if (now - session.createdAt > config.tg.grantSessionTtl) grantSessions.delete(id);
+  }
+
+  const id = String(++grantSessionCounter);
+  grantSessions.set(id, {
+    chatId: ctx.chat.id,
+    userId: ctx.from.id,
+    playerName,
+    groups: [],
+    group: null,
+    duration: null,
+    createdAt: now
+  });
+  return id;
+}
+
+function getGrantSession(ctx, id) {
+  const session = grantSessions.get(id);
+  if (!session) return null;
+
+  if (Date.now() - session.createdAt > config.tg.grantSessionTtl) {
+    grantSessions.delete(id);
+    return null;
+  }
+  if (session.chatId !== ctx.chat.id || session.userId !== ctx.from.id) return null;
+
+  return session;
+}
+
 tgBot.on('text', async ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply('❌');
+  if (!canTg(ctx.from.id, 'grant')) return ctx.reply('❌');
 
   const playerName = ctx.message.text.trim();
 
-  if (playerName.length < 2 || playerName.length > 16) {
-    return ctx.reply('❌ Ник 2-16 символов');
+  if (!PLAYER_NAME.test(playerName)) {
+    return ctx.reply('❌ Ник 3-16 символов: латиница, цифры, _');
   }
 
   if (!bot?.entity) {
     return ctx.reply('❌ Бот оффлайн');
   }
 
-  botState.pendingPlayer = playerName;
-  botState.foundGroups = [];
-  botState.isCapturingGroups = true;
+  const sessionId = createGrantSession(ctx, playerName);
 
   await ctx.reply(`🔎 Сканирую...`);
 
-  bot.chat('/lp listgroups');
+  const groups = await luckPerms.getGroups();
+  if (!groups || groups.length === 0) {
+    grantSessions.delete(sessionId);
+    return ctx.reply('❌ Групп не найдено');
+  }
+  grantSessions.get(sessionId).groups = groups;
 
-  setTimeout(() => {
-    botState.isCapturingGroups = false;
+  const buttons = groups.map((g, index) => [
+    Markup.button.callback(`🎁 ${g}`, `grant_${sessionId}_g${index}`)
+  ]);
 
-    if (botState.foundGroups.length === 0) {
-      return ctx.reply('❌ Групп не найдено');
-    }
+  ctx.reply(
+    `<b>📋 Ранги для ${escapeHtml(playerName)}</b>`,
+    { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) }
+  );
+});
 
-    const buttons = botState.foundGroups.map(g => [
-      Markup.button.callback(`🎁 ${g}`, `set_${g}`)
-    ]);
+const RANK_DURATIONS = [
+  { label: '30 дней', value: '30d' },
+  { label: '90 дней', value: '90d' },
+  { label: 'Навсегда', value: 'forever' }
+];
 
-    ctx.reply(
-      `<b>📋 Ранги</b>`,
-      Markup.inlineKeyboard(buttons)
-    );
-  }, 3000);
-});
+tgBot.action(/^grant_(\d+)_(g\d+|d\d+|ok|cancel)$/, async ctx => {
+  if (!canTg(ctx.from.id, 'grant')) return ctx.answerCbQuery('❌');
+
+  const sessionId = ctx.match[1];
+  const step = ctx.match[2];
+  const session = getGrantSession(ctx, sessionId);
+
+  if (!session) {
+    ctx.answerCbQuery('❌ Кнопки устарели');
+    return ctx.editMessageText('❌ Кнопки устарели, отправьте ник заново');
+  }
+
+  if (step === 'cancel') {
+    grantSessions.delete(sessionId);
+    ctx.answerCbQuery();
+    return ctx.editMessageText(`🚫 Отменено: ${session.playerName}`);
+  }
+
+  // Шаг 1: выбрана группа → выбор срока
+  if (step.startsWith('g')) {
+    session.group = session.groups[Number(step.slice(1))];
+    if (!session.group) return ctx.answerCbQuery('❌');
 
-tgBot.action(/set_(.+)/, async ctx => {
-  if (!isAdmin(ctx.from.id)) return ctx.answerCbQuery('❌');
+    const buttons = RANK_DURATIONS.map((d, index) => [
+      Markup.button.callback(`⏳ ${d.label}`, `grant_${sessionId}_d${index}`)
+    ]);
 
-  const rank = ctx.match[1];
+    ctx.answerCbQuery();
+    return ctx.editMessageText(
+      `<b>⏳ Срок для ${escapeHtml(session.playerName)} → ${escapeHtml(session.group)}</b>`,
+      { parse_mode: 'HTML', ...Markup.inlineKeyboard(buttons) }
+    );
+  }
 
   if (!bot?.entity) {
+    ctx.answerCbQuery();
     return ctx.reply('❌ Бот оффлайн');
   }
 
-  bot.chat(`/lp user ${botState.pendingPlayer} parent set ${rank}`);
-  db.addDonator(botState.pendingPlayer, rank);
+  // Шаг 2: выбран срок → подтверждение с текущей группой игрока
+  if (step.startsWith('d')) {
+    session.duration = RANK_DURATIONS[Number(step.slice(1))];
+    if (!session.duration || !session.group) return ctx.answerCbQuery('❌');
+
+    ctx.answerCbQuery('🔎');
+    const user = await luckPerms.getUser(session.playerName);
+    const currentGroups = user ? [...new Set([user.primaryGroup, ...user.parents].filter(Boolean))].join(', ') : null;
+
+    return ctx.editMessageText(
+      `<b>❓ Подтвердите выдачу</b>\n\n` +
+      `Игрок: ${escapeHtml(session.playerName)}\n` +
+      `Сейчас: ${escapeHtml(currentGroups || 'неизвестно')}\n` +
+      `Новая группа: <b>${escapeHtml(session.group)}</b>\n` +
+      `Срок: ${session.duration.label}`,
+      {
+        parse_mode: 'HTML',
+        ...Markup.inlineKeyboard([[
+          Markup.button.callback('✅ Выдать', `grant_${sessionId}_ok`),
+          Markup.button.callback('🚫 Отмена', `grant_${sessionId}_cancel`)
+        ]])
+      }
+    );
+  }
+
+  // Шаг 3: подтверждено
+  if (!session.group || !session.duration) return ctx.answerCbQuery('❌');
+  grantSessions.delete(sessionId);
+
+  const { playerName, group, duration } = session;
+  grantRank(playerName, rankForGroup(group) || group, parseDuration(duration.value), group);
+  auditStaffAction(ctx, 'grant', playerName, `${group} ${duration.value}`);
 
   ctx.answerCbQuery('✅', true);
   ctx.editMessageText(
     `✅ <b>Выдано!</b>\n` +
-    `${botState.pendingPlayer} → ${rank}`,
+    `${escapeHtml(playerName)} → ${escapeHtml(group)} (${formatExpiry(db.getDonator(playerName).expiresAt)})`,
     { parse_mode: 'HTML' }
   );
 });
 
 tgBot.catch(err => {
-  logError(`Telegram ошибка: ${err.message}`);
+  tgLog.error(`Telegram ошибка: ${err.message}`);
 });
 
 process.on('unhandledRejection', err => {
   logError(`Ошибка: ${err.message}`);
 });
 
-process.on('SIGTERM', () => {
-  logWarn('Shutdown...');
-  bot?.end();
-  process.exit(0);
-});
+// ======================== ЖИЗНЕННЫЙ ЦИКЛ ========================
+// Остановка по SIGTERM/SIGINT и /restart: подсистемы гасятся по порядку,
+// каждый шаг ограничен stepTimeout, вся остановка - shutdownTimeout, после
+// чего процесс выходит принудительно. /restart завершает процесс с кодом
+// RESTART_EXIT_CODE, контейнер поднимает Docker (restart: unless-stopped).
+const RESTART_EXIT_CODE = 75;
+
+class Lifecycle {
+  constructor(options) {
+    this.options = options;
+    this.startedAt = Date.now();
+    this.intervals = [];
+    this.shuttingDown = false;
+  }
+
+  every(fn, ms) {
+    this.intervals.push(setInterval(fn, ms));
+  }
+
+  // Ошибка или таймаут шага логируются, остановка продолжается
+  async step(name, fn) {
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), this.options.stepTimeout);
+    });
+
+    try {
+      const result = await Promise.race([Promise.resolve().then(fn), timeout]);
+      if (result === 'timeout') appLog.warn(`⏹️ ${name}: не уложилось в ${this.options.stepTimeout} мс`);
+      else appLog.info(`⏹️ ${name}`);
+    } catch (error) {
+      appLog.error(`⏹️ ${name}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async shutdown(reason, exitCode = 0) {
+    if (this.shuttingDown) return;
+    this.shuttingDown = true;
+    appLog.warn(`🛑 Остановка: ${reason}`);
+
+    setTimeout(() => {
+      appLog.error('Остановка не уложилась в таймаут, выходим принудительно');
+      process.exit(exitCode || 1);
+    }, this.options.shutdownTimeout).unref();
+
+    const restarting = exitCode === RESTART_EXIT_CODE;
+
+    await this.step('таймеры', () => {
+      this.intervals.forEach(clearInterval);
+      commandsManager.unwatch();
+    });
+
+    await this.step('уведомления', async () => {
+      const results = await Promise.allSettled([
+        tgBot.telegram.sendMessage(
+          config.tg.adminId,
+          `🛑 <b>Бот ${restarting ? 'перезапускается' : 'останавливается'}</b>\n${escapeHtml(reason)}`,
+          { parse_mode: 'HTML' }
+        ),
+        this.options.gameNotice && bot?.entity
+          ? chatQueue.send(restarting
+            ? '🔄 Бот перезапускается, команды вернутся через минуту'
+            : '🛑 Бот отключается, команды временно недоступны', { priority: 'command' })
+          : null,
+        chatBridge.flush()
+      ]);
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => appLog.error(`⏹️ уведомления: ${result.reason.message}`));
+    });
+
+    await this.step('Minecraft', () => connection.stop());
+
+    await this.step('HTTP', () => new Promise(resolve => {
+      httpServer.close(() => resolve());
+      httpServer.closeIdleConnections();
+    }));
+
+    await this.step('Telegram', () => tgBot.stop(reason));
+
+    await this.step('база данных', () => {
+      // Без бота сессии ждали переподключения и закрываются временем разрыва
+      if (bot?.entity) db.endAllSessions();
+      else db.closeStaleSessions();
+      db.flush();
+    });
+
+    await this.step('логи', () => new Promise(resolve => logger.flush(() => resolve())));
+
+    process.exit(exitCode);
+  }
+}
+
+const lifecycle = new Lifecycle(config.lifecycle);
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => lifecycle.shutdown(signal));
+}
 
 // ======================== ИНИЦИАЛИЗАЦИЯ (КОНЕЦ) ========================
 async function initialize() {
   logInfo('🚀 VoyagersSpace Bot v5.0 ЗАПУЩЕН!');
-  logInfo(`✅ Админы: ${GAME_ADMINS.join(', ')}`);
-  logInfo(`📝 Всего команд: 70+`);
+  logInfo(`✅ Админы: ${db.getGameAdmins().join(', ') || 'нет'}`);
+  const commandsCount = Object.keys(commandsManager.getAllowedCommands()).length +
+    Object.keys(commandsManager.getAdminCommands()).length;
+  logInfo(`📝 Всего команд: ${commandsCount}`);
 
-  setInterval(async () => {
+  lifecycle.every(async () => {
+    if (bot?.entity) db.touchSessions();
     await serverChecker.updateStatus();
-    if (serverChecker.isOnline && !bot?.entity) {
-      createMCBot();
-    }
+    connection.poll();
   }, 30000);
 
-  await serverChecker.updateStatus();
-
-  if (serverChecker.isOnline) {
-    createMCBot();
-  } else {
-    logWarn('⏰ Ждем онлайна сервера...');
+  commandsManager.watch(result => reportCommandsReload(result, 'изменение файла'));
+  if (commandsManager.startupErrors.length > 0) {
+    reportCommandsReload({ ok: false, errors: commandsManager.startupErrors }, 'запуск');
   }
 
+  lifecycle.every(checkExpiredDonators, config.donators.expiryCheckInterval);
+  checkExpiredDonators();
+
+  scheduler.loadFile();
+  lifecycle.every(() => scheduler.tick(), config.scheduler.tickInterval);
+
+  await serverChecker.updateStatus();
+  if (!serverChecker.isOnline) logWarn('⏰ Ждем онлайна сервера...');
+  connection.poll();
+
   tgBot.launch();
   logInfo('✅ Telegram запущен');
 }
@@ -0,0 +1,48 @@
+// ======================== ТЕКСТ MINECRAFT ========================
+// Чистые функции без состояния бота: их импортируют bot.js и тесты.
+
+// MOTD, причина кика и сообщения чата приходят строкой или chat-компонентом с extra
+export const chatComponentText = (component) => {
+  if (typeof component === 'string') return component;
+  if (!component) return '';
+  return (component.text || '') + (component.extra || []).map(chatComponentText).join('');
+};
+
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ======================== ПАРСИНГ ЧАТА ========================
+// Форматы чата в chat-formats.json: { public: [...], whisper: [...] } -
+// регулярные выражения с группами (?<name>) и (?<message>). {bot} заменяется
+// на ник бота. Проверяются по порядку, срабатывает первый совпавший.
+export const DEFAULT_CHAT_FORMATS = {
+  public: ['^<(?<name>[A-Za-z0-9_]{3,16})> (?<message>.*)$'],
+  whisper: ['^(?<name>[A-Za-z0-9_]{3,16}) whispers(?: to you)?:? (?<message>.*)$']
+};
+
+export function compileChatFormats(formats, botName) {
+  const compile = (kind) => (formats[kind] || []).map((source, index) => {
+    const pattern = new RegExp(source.replaceAll('{bot}', escapeRegex(botName)));
+    if (!/\(\?<name>/.test(source) || !/\(\?<message>/.test(source)) {
+      throw new Error(`${kind}[${index}]: нужны группы (?<name>) и (?<message>)`);
+    }
+    return pattern;
+  });
+  return { public: compile('public'), whisper: compile('whisper') };
+}
+
+// → { name, message, whisper } или null, если строка не похожа на сообщение игрока
+export function parseChatLine(line, formats) {
+  for (const whisper of [true, false]) {
+    for (const pattern of whisper ? formats.whisper : formats.public) {
+      const match = line.match(pattern);
+      if (match) return { name: match.groups.name, message: match.groups.message.trim(), whisper };
+    }
+  }
+  return null;
+}
+
+// → { command, args } или null
+export function parsePlayerCommand(message) {
+  const match = message.match(/^!([\w-]+)\s*(.*)$/s);
+  return match && { command: match[1].toLowerCase(), args: match[2].trim() };
+}
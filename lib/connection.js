@@ -0,0 +1,209 @@
+// ======================== ПОДКЛЮЧЕНИЕ К СЕРВЕРУ ========================
+// Единственное место, которое создаёт MC бота. Состояния:
+//   offline    - сервер не отвечает или выключен, ждём его в проверке раз в 30 сек
+//   connecting - идёт вход, второй бот не создаётся
+//   online     - бот на сервере
+//   backoff    - соединение потеряно, повтор через экспоненциальную задержку с джиттером
+//   gave-up    - повторы прекращены (бан, вайтлист, вход с другого места,
+//                лимит попыток или /disconnect); возобновляет только /reconnect
+//
+// Всё внешнее передаётся в конструктор, поэтому класс проверяется тестами
+// с заглушкой вместо mineflayer и проверки сервера.
+import { chatComponentText } from './chat.js';
+
+export const CONNECTION_STATES = ['offline', 'connecting', 'online', 'backoff', 'gave-up'];
+
+// Причины кика: fatal - не переподключаться, delay - своя задержка
+export const KICK_RULES = [
+  { pattern: /multiplayer\.disconnect\.banned|you are banned|banned from this server|забанен/i, fatal: true, message: '⛔ Бот забанен' },
+  { pattern: /not_whitelisted|not whitelisted|whitelist|белом списке/i, fatal: true, message: '⛔ Бота нет в белом списке' },
+  { pattern: /duplicate_login|logged in from another location/i, fatal: true, message: '⛔ Вход с другого места - запущен второй экземпляр?' },
+  { pattern: /server_full|server is full/i, delay: 'serverFullDelay', message: '👥 Сервер заполнен' }
+];
+
+// Причина кика приходит строкой или chat-компонентом в JSON
+export function kickReasonText(reason) {
+  if (typeof reason !== 'string') return chatComponentText(reason) || JSON.stringify(reason);
+  try {
+    const component = JSON.parse(reason);
+    return [component.translate, chatComponentText(component)].filter(Boolean).join(' ') || reason;
+  } catch {
+    return reason;
+  }
+}
+
+const silentLog = { info() {}, warn() {}, error() {} };
+
+// deps:
+//   createBot()            → бот (EventEmitter с quit()); его 'spawn'/'kicked'/'end'
+//                            передаются в onSpawn/onKicked/onEnd
+//   server                 → { isOnline, state, updateStatus() }
+//   log                    → { info, warn, error }
+//   notify(state, reason)  - уведомление владельца о смене состояния
+//   onBackoff(cause)       - запланирован повтор ('kick' | 'disconnect')
+export class ConnectionSupervisor {
+  constructor(options, deps) {
+    this.options = options;
+    this.createBot = deps.createBot;
+    this.server = deps.server;
+    this.log = deps.log || silentLog;
+    this.notifyOwner = deps.notify || (() => {});
+    this.onBackoff = deps.onBackoff || (() => {});
+    this.state = 'offline';
+    this.reason = null;
+    this.attempts = 0;
+    this.current = null;
+    this.kick = null;
+    this.restartRequested = false;
+    this.retryTimer = null;
+    this.connectTimer = null;
+    this.connectedAt = null;
+  }
+
+  setState(state, reason = null) {
+    if (!CONNECTION_STATES.includes(state)) throw new Error(`Неизвестное состояние ${state}`);
+    const previous = this.state;
+    this.state = state;
+    this.reason = reason;
+    if (previous === state) return;
+
+    this.log.info(`🔌 Подключение: ${previous} → ${state}${reason ? ` (${reason})` : ''}`);
+    this.notify(state, reason);
+  }
+
+  notify(state, reason) {
+    // backoff - только при первой потере соединения, дальше попытки идут молча
+    if (state === 'backoff' && this.attempts > 1) return;
+    if (state === 'connecting') return;
+
+    this.notifyOwner(state, reason);
+  }
+
+  // Вызывается после каждой проверки сервера
+  poll() {
+    if (this.state !== 'offline') return;
+    if (this.server.isOnline) this.connect();
+  }
+
+  connect() {
+    if (this.state === 'connecting' || this.state === 'online') return;
+    clearTimeout(this.retryTimer);
+
+    this.setState('connecting', `попытка ${this.attempts + 1}`);
+    this.kick = null;
+    try {
+      this.current = this.createBot();
+    } catch (error) {
+      this.log.error(`Ошибка бота: ${error.message}`);
+      this.current = null;
+      return this.onEnd(null, error.message);
+    }
+
+    const instance = this.current;
+    this.connectTimer = setTimeout(() => {
+      if (this.current !== instance || this.state !== 'connecting') return;
+      this.log.warn('⌛ Вход не завершился вовремя, обрываю');
+      instance.quit('connect timeout');
+    }, this.options.connectTimeout);
+  }
+
+  onSpawn() {
+    clearTimeout(this.connectTimer);
+    this.attempts = 0;
+    this.connectedAt = Date.now();
+    this.setState('online');
+  }
+
+  onKicked(reason) {
+    const text = kickReasonText(reason);
+    const rule = KICK_RULES.find(candidate => candidate.pattern.test(text));
+    this.kick = { text, rule };
+    this.log.warn(`👢 Кик: ${text}`);
+  }
+
+  backoffDelay() {
+    const exponential = Math.min(this.options.baseDelay * 2 ** (this.attempts - 1), this.options.maxDelay);
+    // Джиттер 50-100%: несколько ботов не ломятся на сервер одновременно
+    return Math.round(exponential * (0.5 + Math.random() / 2));
+  }
+
+  onEnd(instance, reason) {
+    if (instance && instance !== this.current) return;
+    clearTimeout(this.connectTimer);
+    this.current = null;
+    this.connectedAt = null;
+
+    if (this.restartRequested) {
+      this.restartRequested = false;
+      this.attempts = 0;
+      // connect() не запускается из online/connecting; без уведомления - это не потеря связи
+      this.state = 'offline';
+      return this.connect();
+    }
+    if (this.state === 'gave-up') return;
+
+    const kick = this.kick;
+    if (kick?.rule?.fatal) return this.setState('gave-up', `${kick.rule.message}: ${kick.text}`);
+
+    this.attempts++;
+    if (this.attempts > this.options.maxAttempts) {
+      return this.setState('gave-up', `${this.options.maxAttempts} попыток подряд без успеха`);
+    }
+
+    const delay = kick?.rule?.delay ? this.options[kick.rule.delay] : this.backoffDelay();
+    const cause = kick ? (kick.rule?.message || `кик: ${kick.text}`) : (reason || 'соединение закрыто');
+    this.setState('backoff', `${cause}; попытка ${this.attempts}/${this.options.maxAttempts} через ${Math.ceil(delay / 1000)} сек`);
+    this.onBackoff(kick ? 'kick' : 'disconnect');
+    this.retryTimer = setTimeout(() => this.retry(), delay);
+  }
+
+  async retry() {
+    await this.server.updateStatus();
+    if (this.state !== 'backoff') return;
+
+    if (!this.server.isOnline) {
+      this.attempts = 0;
+      return this.setState('offline', this.server.state);
+    }
+    this.connect();
+  }
+
+  // /reconnect: сброс попыток; подключённый бот переподключается
+  reconnect() {
+    clearTimeout(this.retryTimer);
+    this.attempts = 0;
+
+    if (this.current) {
+      this.restartRequested = true;
+      this.current.quit('reconnect');
+      return;
+    }
+    if (this.server.isOnline) return this.connect();
+    this.setState('offline', 'переподключение по команде');
+  }
+
+  // Остановка процесса: выйти без переподключения и без уведомлений.
+  // → промис, который завершается после 'end' бота
+  stop() {
+    clearTimeout(this.retryTimer);
+    clearTimeout(this.connectTimer);
+    this.restartRequested = false;
+    this.state = 'gave-up';
+    this.reason = 'остановка процесса';
+
+    const instance = this.current;
+    if (!instance) return Promise.resolve();
+    return new Promise(resolve => {
+      instance.once('end', resolve);
+      instance.quit('shutdown');
+    });
+  }
+
+  // /disconnect: выйти и не переподключаться до /reconnect
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    this.restartRequested = false;
+    this.setState('gave-up', 'отключено командой /disconnect');
+    this.current?.quit('disconnect');
+  }
+}
@@ -0,0 +1,16 @@
+// ======================== СРОКИ ========================
+// Разбор сроков донатов, товаров магазина и интервалов расписаний.
+export const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// '30d', '12h', '2w', '90' (дни) → мс; 'forever'/'навсегда' → null; иначе undefined
+export const parseDuration = (text) => {
+  if (!text || ['forever', 'навсегда'].includes(text.toLowerCase())) return null;
+  const match = text.toLowerCase().match(/^(\d+)([mhdw]?)$/);
+  if (!match || Number(match[1]) === 0) return undefined;
+  return Number(match[1]) * DURATION_UNITS[match[2] || 'd'];
+};
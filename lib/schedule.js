@@ -0,0 +1,76 @@
+// ======================== РАСПИСАНИЯ ========================
+// Выражения расписаний: 'every 30m' или cron из 5 полей (минута час день
+// месяц день_недели) по локальному времени; @hourly, @daily, @weekly.
+// Чистые функции без БД и бота: их импортируют bot.js и тесты.
+import { DURATION_UNITS, parseDuration } from './duration.js';
+
+export const CRON_ALIASES = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@weekly': '0 0 * * 0' };
+export const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 } // 0 и 7 - воскресенье
+];
+const CRON_SEARCH_LIMIT = 366 * 24 * 60;
+
+// '*', '5', '1-5', '*/15', '10-50/10', '1,15' → Set значений или null
+export function parseCronField(field, { min, max }) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    const from = match[1] ? min : Number(match[2]);
+    const to = match[1] ? max : Number(match[3] ?? (match[4] ? max : match[2]));
+    const step = Number(match[4] || 1);
+    if (from < min || to > max || from > to || step === 0) return null;
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// → { every } | { cron, anyDay } | null
+export function parseScheduleExpression(expression) {
+  const text = CRON_ALIASES[expression.trim()] || expression.trim();
+
+  const every = text.match(/^every\s+(\S+)$/i);
+  if (every) {
+    const interval = parseDuration(every[1]);
+    return interval >= DURATION_UNITS.m ? { every: interval } : null;
+  }
+
+  const fields = text.split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const cron = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (cron.some(values => !values)) return null;
+  if (cron[4].has(7)) cron[4].add(0);
+
+  // Как в cron: если заданы и день месяца, и день недели, подходит любой из них
+  return { cron, anyDay: fields[2] !== '*' && fields[4] !== '*' };
+}
+
+// Ближайший запуск строго после after; null - выражение не срабатывает в пределах года
+export function nextScheduleRun(parsed, after) {
+  if (parsed.every) return after + parsed.every;
+
+  const [minutes, hours, days, months, weekdays] = parsed.cron;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+
+  for (let i = 0; i < CRON_SEARCH_LIMIT; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+
+    const dayOfMonth = days.has(date.getDate());
+    const dayOfWeek = weekdays.has(date.getDay());
+    const dayMatches = parsed.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+
+    if (dayMatches && months.has(date.getMonth() + 1) &&
+      hours.has(date.getHours()) && minutes.has(date.getMinutes())) {
+      return date.getTime();
+    }
+  }
+  return null;
+}
@@ -0,0 +1,30 @@
+// Тестовый вебхук магазина: подписывает заказ и отправляет его боту.
+// node scripts/shop-webhook.js [ник] [товар] [orderId]
+// SHOP_WEBHOOK_SECRET и PORT берутся из .env, URL можно задать через SHOP_WEBHOOK_URL.
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const [player = 'TestPlayer', productId = 'vip_30', orderId = `test-${Date.now()}`] = process.argv.slice(2);
+const secret = process.env.SHOP_WEBHOOK_SECRET;
+const url = process.env.SHOP_WEBHOOK_URL || `http://localhost:${process.env.PORT || 10000}/webhooks/shop`;
+
+if (!secret) {
+  console.error('❌ SHOP_WEBHOOK_SECRET не задан');
+  process.exit(1);
+}
+
+const body = JSON.stringify({ orderId, productId, player });
+const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'X-Signature': `sha256=${signature}`
+  },
+  body
+});
+
+console.log(`${response.status} ${await response.text()}`);
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import {
+  DEFAULT_CHAT_FORMATS,
+  compileChatFormats,
+  parseChatLine,
+  parsePlayerCommand
+} from '../lib/chat.js';
+
+const readJson = (relative) => JSON.parse(fs.readFileSync(new URL(relative, import.meta.url), 'utf-8'));
+
+const fixtures = readJson('./fixtures/chat-lines.json');
+const formats = compileChatFormats(readJson('../chat-formats.json'), fixtures.botName);
+
+// Записанные строки чата прогоняются через форматы из chat-formats.json
+for (const { source, line, expected, command } of fixtures.lines) {
+  test(`${source}: ${line}`, () => {
+    const parsed = parseChatLine(line, formats);
+    assert.deepEqual(parsed, expected);
+    if (command !== undefined) assert.deepEqual(parsePlayerCommand(parsed.message), command);
+  });
+}
+
+test('формат без групп name/message отклоняется', () => {
+  assert.throws(() => compileChatFormats({ public: ['^<(?<who>\\w+)> (.*)$'] }, 'Bot'), /нужны группы/);
+});
+
+test('{bot} экранируется при подстановке ника', () => {
+  const compiled = compileChatFormats({ whisper: ['^\\[(?<name>\\w+) -> {bot}\\] (?<message>.*)$'] }, 'a.b');
+  assert.equal(parseChatLine('[Steve -> a.b] hi', compiled)?.name, 'Steve');
+  assert.equal(parseChatLine('[Steve -> axb] hi', compiled), null);
+});
+
+test('ванильный формат по умолчанию не принимает теги рангов', () => {
+  const compiled = compileChatFormats(DEFAULT_CHAT_FORMATS, 'Bot');
+  assert.equal(parseChatLine('<Steve> !fly', compiled)?.name, 'Steve');
+  assert.equal(parseChatLine('[VIP] Steve: !fly', compiled), null);
+});
+
+test('parsePlayerCommand', () => {
+  assert.deepEqual(parsePlayerCommand('!save-all'), { command: 'save-all', args: '' });
+  assert.deepEqual(parsePlayerCommand('!say  hello   world '), { command: 'say', args: 'hello   world' });
+  assert.equal(parsePlayerCommand('привет !fly'), null);
+  assert.equal(parsePlayerCommand('! fly'), null);
+});
@@ -0,0 +1,274 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { ConnectionSupervisor, kickReasonText } from '../lib/connection.js';
+
+const OPTIONS = {
+  baseDelay: 5,
+  maxDelay: 20,
+  maxAttempts: 3,
+  connectTimeout: 200,
+  serverFullDelay: 30
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Заглушка mineflayer: quit() и разрыв дают 'end' асинхронно, как настоящий бот
+class FakeBot extends EventEmitter {
+  constructor() {
+    super();
+    this.quitReason = null;
+  }
+
+  quit(reason) {
+    this.quitReason = reason;
+    setImmediate(() => this.emit('end', reason));
+  }
+
+  drop(reason = 'socketClosed') {
+    setImmediate(() => this.emit('end', reason));
+  }
+
+  kick(reason) {
+    this.emit('kicked', reason);
+    this.drop('kicked');
+  }
+}
+
+function setup({ online = true, options = {} } = {}) {
+  const bots = [];
+  const notifications = [];
+  const server = {
+    isOnline: online,
+    get state() {
+      return this.isOnline ? 'online' : 'offline';
+    },
+    updateStatus: async () => server.isOnline
+  };
+
+  const supervisor = new ConnectionSupervisor({ ...OPTIONS, ...options }, {
+    server,
+    notify: (state, reason) => notifications.push({ state, reason }),
+    createBot: () => {
+      const bot = new FakeBot();
+      bot.on('kicked', reason => supervisor.onKicked(reason));
+      bot.on('end', reason => supervisor.onEnd(bot, reason));
+      bots.push(bot);
+      return bot;
+    }
+  });
+
+  const spawn = () => supervisor.onSpawn();
+  return { supervisor, server, bots, notifications, spawn };
+}
+
+test('poll подключается к онлайн-серверу и не создаёт второго бота', () => {
+  const { supervisor, bots, notifications, spawn } = setup();
+
+  supervisor.poll();
+  assert.equal(supervisor.state, 'connecting');
+  supervisor.poll();
+  supervisor.connect();
+  assert.equal(bots.length, 1);
+
+  spawn();
+  assert.equal(supervisor.state, 'online');
+  assert.equal(supervisor.attempts, 0);
+  assert.ok(supervisor.connectedAt);
+  assert.deepEqual(notifications.map(n => n.state), ['online']);
+  supervisor.stop();
+});
+
+test('poll ждёт, пока сервер оффлайн', () => {
+  const { supervisor, bots } = setup({ online: false });
+
+  supervisor.poll();
+  assert.equal(supervisor.state, 'offline');
+  assert.equal(bots.length, 0);
+});
+
+test('разрыв уходит в backoff и переподключается', async () => {
+  const { supervisor, bots, notifications, spawn } = setup();
+
+  supervisor.connect();
+  spawn();
+  bots[0].drop();
+  await wait(1);
+
+  assert.equal(supervisor.state, 'backoff');
+  assert.equal(supervisor.attempts, 1);
+  assert.equal(supervisor.current, null);
+
+  await wait(30);
+  assert.equal(bots.length, 2);
+  assert.equal(supervisor.state, 'connecting');
+
+  spawn();
+  assert.equal(supervisor.state, 'online');
+  assert.equal(supervisor.attempts, 0);
+  assert.deepEqual(notifications.map(n => n.state), ['online', 'backoff', 'online']);
+  supervisor.stop();
+});
+
+test('повторные неудачи уведомляют один раз и заканчиваются gave-up', async () => {
+  const { supervisor, bots, notifications } = setup();
+
+  supervisor.connect();
+  for (let i = 0; i <= OPTIONS.maxAttempts; i++) {
+    bots.at(-1).drop();
+    await wait(30);
+  }
+
+  assert.equal(supervisor.state, 'gave-up');
+  assert.equal(bots.length, OPTIONS.maxAttempts + 1);
+  assert.deepEqual(notifications.map(n => n.state), ['backoff', 'gave-up']);
+});
+
+test('задержка растёт экспоненциально и ограничена maxDelay', () => {
+  const { supervisor } = setup({ options: { baseDelay: 1000, maxDelay: 5000 } });
+
+  for (const [attempts, max] of [[1, 1000], [2, 2000], [3, 4000], [4, 5000], [10, 5000]]) {
+    supervisor.attempts = attempts;
+    const delay = supervisor.backoffDelay();
+    assert.ok(delay >= max / 2 && delay <= max, `попытка ${attempts}: ${delay}`);
+  }
+});
+
+test('бан и вайтлист останавливают переподключение', async () => {
+  for (const reason of [
+    '{"translate":"multiplayer.disconnect.not_whitelisted"}',
+    'You are banned from this server'
+  ]) {
+    const { supervisor, bots, notifications, spawn } = setup();
+
+    supervisor.connect();
+    spawn();
+    bots[0].kick(reason);
+    await wait(30);
+
+    assert.equal(supervisor.state, 'gave-up');
+    assert.equal(bots.length, 1);
+    assert.equal(notifications.at(-1).state, 'gave-up');
+  }
+});
+
+test('заполненный сервер ждёт serverFullDelay', async () => {
+  const { supervisor, bots, spawn } = setup({ options: { baseDelay: 1000, maxDelay: 1000 } });
+
+  supervisor.connect();
+  spawn();
+  bots[0].kick('The server is full!');
+  await wait(1);
+  assert.equal(supervisor.state, 'backoff');
+  assert.match(supervisor.reason, /Сервер заполнен/);
+
+  await wait(40);
+  assert.equal(bots.length, 2);
+  supervisor.stop();
+});
+
+test('повтор при выключенном сервере переводит в offline', async () => {
+  const { supervisor, server, bots, spawn } = setup();
+
+  supervisor.connect();
+  spawn();
+  server.isOnline = false;
+  bots[0].drop();
+  await wait(30);
+
+  assert.equal(supervisor.state, 'offline');
+  assert.equal(supervisor.attempts, 0);
+  assert.equal(bots.length, 1);
+
+  server.isOnline = true;
+  supervisor.poll();
+  assert.equal(supervisor.state, 'connecting');
+  supervisor.stop();
+});
+
+test('/reconnect в online пересоздаёт бота', async () => {
+  const { supervisor, bots, notifications, spawn } = setup();
+
+  supervisor.connect();
+  spawn();
+  supervisor.reconnect();
+  assert.equal(bots[0].quitReason, 'reconnect');
+  await wait(1);
+
+  assert.equal(bots.length, 2);
+  assert.equal(supervisor.state, 'connecting');
+  assert.equal(supervisor.current, bots[1]);
+
+  spawn();
+  assert.equal(supervisor.state, 'online');
+  assert.deepEqual(notifications.map(n => n.state), ['online', 'online']);
+  supervisor.stop();
+});
+
+test('/reconnect во время входа пересоздаёт бота', async () => {
+  const { supervisor, bots } = setup();
+
+  supervisor.connect();
+  supervisor.reconnect();
+  await wait(1);
+
+  assert.equal(bots.length, 2);
+  assert.equal(supervisor.state, 'connecting');
+  assert.equal(supervisor.current, bots[1]);
+  supervisor.stop();
+});
+
+test('/disconnect выходит и не переподключается до /reconnect', async () => {
+  const { supervisor, bots, notifications, spawn } = setup();
+
+  supervisor.connect();
+  spawn();
+  supervisor.disconnect();
+  assert.equal(bots[0].quitReason, 'disconnect');
+  await wait(30);
+
+  assert.equal(supervisor.state, 'gave-up');
+  assert.equal(bots.length, 1);
+  supervisor.poll();
+  assert.equal(bots.length, 1);
+  assert.equal(notifications.at(-1).state, 'gave-up');
+
+  supervisor.reconnect();
+  assert.equal(supervisor.state, 'connecting');
+  assert.equal(bots.length, 2);
+  supervisor.stop();
+});
+
+test('вход, не дошедший до spawn, обрывается по таймауту', async () => {
+  const { supervisor, bots } = setup({ options: { connectTimeout: 5, baseDelay: 1000, maxDelay: 1000 } });
+
+  supervisor.connect();
+  await wait(15);
+
+  assert.equal(bots[0].quitReason, 'connect timeout');
+  assert.equal(supervisor.state, 'backoff');
+  supervisor.stop();
+});
+
+test('stop() ждёт end и не уведомляет', async () => {
+  const { supervisor, bots, notifications, spawn } = setup();
+
+  supervisor.connect();
+  spawn();
+  await supervisor.stop();
+
+  assert.equal(bots[0].quitReason, 'shutdown');
+  assert.equal(supervisor.state, 'gave-up');
+  assert.deepEqual(notifications.map(n => n.state), ['online']);
+  await wait(30);
+  assert.equal(bots.length, 1);
+});
+
+test('kickReasonText разбирает строку и chat-компонент', () => {
+  assert.equal(kickReasonText('Server closed'), 'Server closed');
+  assert.equal(
+    kickReasonText('{"translate":"multiplayer.disconnect.duplicate_login"}'),
+    'multiplayer.disconnect.duplicate_login'
+  );
+  assert.equal(kickReasonText({ text: 'Kicked: ', extra: [{ text: 'spam' }] }), 'Kicked: spam');
+});
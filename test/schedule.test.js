@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCronField, parseScheduleExpression, nextScheduleRun, CRON_FIELDS } from '../lib/schedule.js';
+
+const [MINUTE, HOUR, DAY, MONTH, WEEKDAY] = CRON_FIELDS;
+
+// Cron считается по локальному времени, поэтому и даты в тестах локальные
+const at = (year, month, day, hour = 0, minute = 0, second = 0) =>
+  new Date(year, month - 1, day, hour, minute, second).getTime();
+
+const next = (expression, after) => nextScheduleRun(parseScheduleExpression(expression), after);
+
+test('поле cron: значения, диапазоны, шаги и списки', () => {
+  assert.deepEqual([...parseCronField('*', HOUR)], [...Array(24).keys()]);
+  assert.deepEqual([...parseCronField('5', MINUTE)], [5]);
+  assert.deepEqual([...parseCronField('1-5', WEEKDAY)], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCronField('*/15', MINUTE)], [0, 15, 30, 45]);
+  assert.deepEqual([...parseCronField('10-50/10', MINUTE)], [10, 20, 30, 40, 50]);
+  assert.deepEqual([...parseCronField('50/5', MINUTE)], [50, 55]);
+  assert.deepEqual([...parseCronField('1,15,1-3', DAY)], [1, 15, 2, 3]);
+});
+
+test('поле cron: границы полей', () => {
+  assert.ok(parseCronField('59', MINUTE));
+  assert.equal(parseCronField('60', MINUTE), null);
+  assert.equal(parseCronField('24', HOUR), null);
+  assert.equal(parseCronField('0', DAY), null);
+  assert.equal(parseCronField('32', DAY), null);
+  assert.equal(parseCronField('0', MONTH), null);
+  assert.equal(parseCronField('13', MONTH), null);
+  assert.ok(parseCronField('7', WEEKDAY));
+  assert.equal(parseCronField('8', WEEKDAY), null);
+});
+
+test('поле cron: невалидный синтаксис', () => {
+  for (const field of ['', 'a', '5-1', '*/0', '1-', '-1', '1,,2', '**', '1-5/', 'MON']) {
+    assert.equal(parseCronField(field, MINUTE), null, field);
+  }
+});
+
+test('выражение: алиасы и every', () => {
+  assert.deepEqual(parseScheduleExpression('every 30m'), { every: 30 * 60 * 1000 });
+  assert.deepEqual(parseScheduleExpression('EVERY 2h'), { every: 2 * 60 * 60 * 1000 });
+  assert.deepEqual(parseScheduleExpression('@daily'), parseScheduleExpression('0 0 * * *'));
+  assert.deepEqual(parseScheduleExpression(' @hourly '), parseScheduleExpression('0 * * * *'));
+  assert.deepEqual(parseScheduleExpression('@weekly'), parseScheduleExpression('0 0 * * 0'));
+});
+
+test('выражение: невалидные', () => {
+  for (const expression of ['', 'every', 'every 0m', 'every 30s', 'every forever', '* * * *', '* * * * * *', '60 * * * *', '@yearly']) {
+    assert.equal(parseScheduleExpression(expression), null, expression);
+  }
+});
+
+test('выражение: 7 в дне недели - тоже воскресенье', () => {
+  const { cron } = parseScheduleExpression('0 0 * * 7');
+  assert.ok(cron[4].has(0));
+});
+
+test('выражение: anyDay только когда заданы и день месяца, и день недели', () => {
+  assert.equal(parseScheduleExpression('0 0 1 * 1').anyDay, true);
+  assert.equal(parseScheduleExpression('0 0 1 * *').anyDay, false);
+  assert.equal(parseScheduleExpression('0 0 * * 1').anyDay, false);
+});
+
+test('следующий запуск: every отсчитывается от after', () => {
+  assert.equal(next('every 15m', at(2026, 10, 19, 10, 7, 30)), at(2026, 10, 19, 10, 22, 30));
+});
+
+test('следующий запуск: строго после after', () => {
+  assert.equal(next('*/15 * * * *', at(2026, 10, 19, 10, 7)), at(2026, 10, 19, 10, 15));
+  assert.equal(next('*/15 * * * *', at(2026, 10, 19, 10, 15)), at(2026, 10, 19, 10, 30));
+  assert.equal(next('*/15 * * * *', at(2026, 10, 19, 10, 14, 59)), at(2026, 10, 19, 10, 15));
+});
+
+test('следующий запуск: переход через сутки, месяц и год', () => {
+  assert.equal(next('0 8 * * *', at(2026, 10, 19, 9)), at(2026, 10, 20, 8));
+  assert.equal(next('0 0 1 * *', at(2026, 10, 19)), at(2026, 11, 1));
+  assert.equal(next('30 12 1 1 *', at(2026, 10, 19)), at(2027, 1, 1, 12, 30));
+});
+
+test('следующий запуск: день недели', () => {
+  // 19.10.2026 - понедельник
+  assert.equal(next('0 9 * * 1', at(2026, 10, 19, 10)), at(2026, 10, 26, 9));
+  assert.equal(next('0 9 * * 0', at(2026, 10, 19, 10)), at(2026, 10, 25, 9));
+  assert.equal(next('0 9 * * 7', at(2026, 10, 19, 10)), at(2026, 10, 25, 9));
+  assert.equal(next('0 9 * * 1-5', at(2026, 10, 23, 10)), at(2026, 10, 26, 9));
+});
+
+test('следующий запуск: день месяца И день недели - подходит любой', () => {
+  // 1 число или пятница: пятница 23.10 раньше 1.11
+  assert.equal(next('0 0 1 * 5', at(2026, 10, 19)), at(2026, 10, 23));
+  // только 1 число, если день недели '*'
+  assert.equal(next('0 0 1 * *', at(2026, 10, 19)), at(2026, 11, 1));
+  // только пятница, если день месяца '*'
+  assert.equal(next('0 0 * * 5', at(2026, 10, 19)), at(2026, 10, 23));
+});
+
+test('следующий запуск: 29 февраля и несуществующие даты', () => {
+  assert.equal(next('0 0 29 2 *', at(2026, 10, 19)), null);
+  assert.equal(next('0 0 29 2 *', at(2027, 10, 19)), at(2028, 2, 29));
+  assert.equal(next('0 0 31 4 *', at(2026, 10, 19)), null);
+});